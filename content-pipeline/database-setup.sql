@@ -3,6 +3,7 @@
 
 -- Drop existing tables if they exist (for clean setup)
 DROP TABLE IF EXISTS content_downloads CASCADE;
+DROP TABLE IF EXISTS prayer_guide_revisions CASCADE;
 DROP TABLE IF EXISTS prayer_guides CASCADE;
 
 -- Create prayer_guides table
@@ -12,16 +13,51 @@ CREATE TABLE prayer_guides (
   title VARCHAR(200) NOT NULL,
   prayer_name VARCHAR(50) NOT NULL,
   sect VARCHAR(20) NOT NULL CHECK (sect IN ('sunni', 'shia')),
+  madhab VARCHAR(20) CHECK (madhab IN ('hanafi', 'shafi', 'jafari')),
   rakah_count INTEGER NOT NULL,
+  difficulty VARCHAR(20) NOT NULL DEFAULT 'beginner' CHECK (difficulty IN ('beginner', 'intermediate', 'advanced')),
+  duration INTEGER NOT NULL DEFAULT 300,
+  description TEXT NOT NULL DEFAULT '',
+  translations JSONB NOT NULL DEFAULT '{}',
   content_type VARCHAR(20) NOT NULL DEFAULT 'guide',
   text_content JSONB,
   video_url TEXT,
+  video_duration NUMERIC,
+  video_size BIGINT,
   thumbnail_url TEXT,
+  thumbnail_width INTEGER,
+  thumbnail_height INTEGER,
+  thumbnail_blurhash VARCHAR(100),
+  thumbnail_variants JSONB,
   is_available_offline BOOLEAN DEFAULT FALSE,
   local_data BYTEA,
   version INTEGER DEFAULT 1,
+  content_hash VARCHAR(64),
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'in_review', 'approved', 'published')),
+  reviewer_name VARCHAR(200),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_notes TEXT,
+  published_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- Guides without a madhab apply to every madhab of their sect
+  CONSTRAINT prayer_guides_madhab_sect CHECK (
+    madhab IS NULL
+    OR (sect = 'sunni' AND madhab IN ('hanafi', 'shafi'))
+    OR (sect = 'shia' AND madhab = 'jafari')
+  )
+);
+
+-- Create prayer_guide_revisions table holding the earlier versions of each guide
+-- Rows are keyed by content_id rather than guide id so history survives a guide being deleted
+CREATE TABLE prayer_guide_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  content_id VARCHAR(100) NOT NULL,
+  version INTEGER NOT NULL,
+  content_hash VARCHAR(64),
+  data JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (content_id, version)
 );
 
 -- Create content_downloads table for tracking offline content
@@ -32,16 +68,23 @@ CREATE TABLE content_downloads (
   download_progress INTEGER DEFAULT 0 CHECK (download_progress >= 0 AND download_progress <= 100),
   file_size BIGINT,
   downloaded_size BIGINT DEFAULT 0,
+  failure_reason VARCHAR(30) CHECK (failure_reason IN ('network', 'storage_full', 'checksum_mismatch', 'server_error', 'cancelled', 'stale', 'unknown')),
   error_message TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
   started_at TIMESTAMP WITH TIME ZONE,
-  completed_at TIMESTAMP WITH TIME ZONE
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- Reaping treats downloads whose updated_at stops moving as abandoned
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Create indexes for better performance
 CREATE INDEX idx_prayer_guides_prayer_name ON prayer_guides(prayer_name);
 CREATE INDEX idx_prayer_guides_sect ON prayer_guides(sect);
+CREATE INDEX idx_prayer_guides_madhab ON prayer_guides(madhab);
 CREATE INDEX idx_prayer_guides_content_id ON prayer_guides(content_id);
 CREATE INDEX idx_prayer_guides_updated_at ON prayer_guides(updated_at);
+CREATE INDEX idx_prayer_guides_status ON prayer_guides(status);
 CREATE INDEX idx_content_downloads_guide_id ON content_downloads(guide_id);
 CREATE INDEX idx_content_downloads_status ON content_downloads(download_status);
 
@@ -60,13 +103,23 @@ CREATE TRIGGER update_prayer_guides_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Create trigger for content_downloads
+CREATE TRIGGER update_content_downloads_updated_at 
+    BEFORE UPDATE ON content_downloads 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Enable Row Level Security (RLS)
 ALTER TABLE prayer_guides ENABLE ROW LEVEL SECURITY;
 ALTER TABLE content_downloads ENABLE ROW LEVEL SECURITY;
 
+-- prayer_guide_revisions has no policies, so only the service role can read or write it
+ALTER TABLE prayer_guide_revisions ENABLE ROW LEVEL SECURITY;
+
 -- Create policies for public read access (since this is content, not user data)
-CREATE POLICY "Allow public read access on prayer_guides" ON prayer_guides
-    FOR SELECT USING (true);
+-- Guides stay hidden until a reviewer has approved and published them; the pipeline reads drafts with the service role
+CREATE POLICY "Allow public read access on published prayer_guides" ON prayer_guides
+    FOR SELECT USING (status = 'published');
 
 CREATE POLICY "Allow public read access on content_downloads" ON content_downloads
     FOR SELECT USING (true);
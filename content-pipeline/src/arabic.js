@@ -0,0 +1,87 @@
+const ARABIC_LETTER = /[\u0621-\u063A\u0641-\u064A\u0671]/;
+// Tanween, short vowels, shadda and sukun, plus the superscript alef
+const HARAKAT = /[\u064B-\u0652\u0670]/;
+const SHADDA = '\u0651';
+const TATWEEL = '\u0640';
+
+// Marks that change the display order of the text around them
+const DIRECTION_CONTROLS = /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+// Persian and Urdu letters that look like Arabic ones but are different characters
+const LOOKALIKE_LETTERS = {
+  '\u06CC': '\u064A', // Farsi yeh → yeh
+  '\u06A9': '\u0643', // keheh → kaf
+  '\u06C1': '\u0647', // heh goal → heh
+  '\u06BE': '\u0647', // heh doachashmee → heh
+  '\u06D5': '\u0647' // ae → heh
+};
+
+// Recitations are stored composed, so hamza forms like أ are single characters, and without tatweel,
+// which only stretches words for display
+export function normalizeArabic(text) {
+  return text.normalize('NFC').replaceAll(TATWEEL, '');
+}
+
+// Lints a recitation's Arabic text, which is expected to be fully vocalised
+export function lintArabic(text) {
+  const errors = [];
+  const warnings = [];
+
+  for (const control of new Set(text.match(DIRECTION_CONTROLS) || [])) {
+    errors.push(`contains direction control character ${codePoint(control)}`);
+  }
+
+  const latin = text.match(/[A-Za-z]+/);
+  if (latin) {
+    errors.push(`mixes Latin text into Arabic: "${latin[0]}"`);
+  }
+
+  for (const [lookalike, arabic] of Object.entries(LOOKALIKE_LETTERS)) {
+    if (text.includes(lookalike)) {
+      warnings.push(`uses Persian/Urdu letter ${lookalike} (${codePoint(lookalike)}) instead of Arabic ${arabic} (${codePoint(arabic)})`);
+    }
+  }
+
+  if (text !== text.normalize('NFC')) {
+    warnings.push('is not NFC-normalised');
+  }
+
+  if (text.includes(TATWEEL)) {
+    warnings.push(`contains tatweel (${codePoint(TATWEEL)})`);
+  }
+
+  if (/(^|\s)[\u064B-\u0652\u0670]/.test(text)) {
+    errors.push('has a haraka that is not on a letter');
+  }
+
+  const words = text.normalize('NFC').split(/\s+/).filter(word => ARABIC_LETTER.test(word));
+
+  // NFC puts the marks on a letter in a fixed order; a letter takes one vowel or sukun and at most one shadda
+  for (const word of words) {
+    for (const [, marks] of word.matchAll(/.([\u064B-\u0652]*)/gu)) {
+      const vowels = marks.replaceAll(SHADDA, '');
+      if (vowels.length > 1 || marks.length - vowels.length > 1) {
+        errors.push(`has conflicting harakat in "${word}"`);
+        break;
+      }
+    }
+  }
+
+  const unvocalised = words.filter(word => [...word].filter(char => ARABIC_LETTER.test(char)).length > 1 && !HARAKAT.test(word));
+  if (unvocalised.length > 0) {
+    warnings.push(`has unvocalised words: ${unvocalised.join(' ')}`);
+  }
+
+  // Uthmani alef wasla and plain alef are different orthographies; a passage should stick to one
+  const hasWasla = words.some(word => /^[\u0648\u0641\u0628\u0643\u0644]?\u0671/.test(word));
+  const hasPlainAlef = words.some(word => /^[\u0648\u0641\u0628\u0643\u0644]?\u0627\u0644/.test(word));
+  if (hasWasla && hasPlainAlef) {
+    warnings.push('mixes alef wasla and plain alef at word starts');
+  }
+
+  return { errors, warnings };
+}
+
+function codePoint(char) {
+  return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+import path from 'path';
+import tar from 'tar';
+import chalk from 'chalk';
+import ora from 'ora';
+import { ContentIngester } from './ingester.js';
+import { hashContent, hashFile } from './hash.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+// Bumped whenever the package layout changes so the app can refuse bundles it can't read
+export const BUNDLE_FORMAT_VERSION = 1;
+
+export class ContentBundler {
+  constructor(options = {}) {
+    this.sourcePath = options.sourcePath || './content';
+    this.outputPath = options.outputPath || './bundles';
+    this.contentIds = options.contentIds || [];
+    this.includeMedia = options.includeMedia || false;
+    this.embed = options.embed || false;
+    this.dryRun = options.dryRun || false;
+    this.verbose = options.verbose || false;
+
+    // Bundles are built from local sources; the ingester never uploads here
+    this.ingester = new ContentIngester({
+      sourcePath: this.sourcePath,
+      dryRun: true,
+      verbose: this.verbose,
+      storage: options.storage
+    });
+    this.storage = this.ingester.storage;
+  }
+
+  async run() {
+    const spinner = ora('Scanning content directory...').start();
+
+    try {
+      await fs.access(this.sourcePath);
+
+      const markdownFiles = await this.ingester.findMarkdownFiles(this.sourcePath);
+      const guides = [];
+
+      for (const filePath of markdownFiles) {
+        const guide = await this.ingester.processMarkdownFile(filePath);
+        if (this.contentIds.length === 0 || this.contentIds.includes(guide.content_id)) {
+          guides.push({ guide, filePath });
+        }
+      }
+
+      const missing = this.contentIds.filter(id => !guides.some(({ guide }) => guide.content_id === id));
+      if (missing.length > 0) {
+        throw new Error(`No source files found for: ${missing.join(', ')}`);
+      }
+
+      spinner.succeed(`Found ${guides.length} guides to bundle`);
+      await fs.mkdir(this.outputPath, { recursive: true });
+
+      const bundles = [];
+      for (const { guide, filePath } of guides) {
+        spinner.start(`Bundling ${guide.content_id}...`);
+
+        // Bundles ship the published guide under the version the app knows from the feed, which history bumps
+        // past the frontmatter one, so the local content has to be exactly what was reviewed and published
+        const existing = await this.storage.getGuideByContentId(guide.content_id);
+        if (existing) {
+          if (existing.status !== 'published') {
+            throw new Error(`Guide ${guide.content_id} is ${existing.status}. Only published guides can be bundled.`);
+          }
+          if (hashContent(existing) !== hashContent(guide)) {
+            throw new Error(`Local content of ${guide.content_id} differs from the published version ${existing.version}. Sync and publish it, or bundle from the published sources.`);
+          }
+          guide.version = existing.version || 1;
+        } else if (!this.dryRun) {
+          throw new Error(`Guide ${guide.content_id} not found in database. Run ingest first.`);
+        }
+
+        const bundle = await this.createBundle(guide, filePath);
+
+        if (!this.dryRun) {
+          await this.publishBundle(guide, bundle, existing);
+        }
+
+        bundles.push(bundle);
+        spinner.succeed(`Bundled ${guide.content_id} (${this.formatSize(bundle.size)})`);
+      }
+
+      // Summary
+      console.log(chalk.blue('\n📦 Bundle Summary:'));
+      console.log(`Bundles created: ${chalk.green(bundles.length)}`);
+      console.log(`Output directory: ${chalk.green(this.outputPath)}`);
+      console.log(`Dry run: ${this.dryRun ? chalk.yellow('Yes') : chalk.green('No')}`);
+
+      if (this.verbose) {
+        bundles.forEach(bundle => {
+          console.log(`  ${chalk.green('✓')} ${path.basename(bundle.path)} ${chalk.gray(bundle.checksum)}`);
+        });
+      }
+
+      return bundles;
+    } catch (error) {
+      spinner.fail('Content bundling failed');
+      throw error;
+    }
+  }
+
+  async createBundle(guide, markdownPath) {
+    const name = `${guide.content_id}-v${guide.version}`;
+    const stagingDir = path.join(this.outputPath, name);
+
+    await fs.rm(stagingDir, { recursive: true, force: true });
+    await fs.mkdir(stagingDir, { recursive: true });
+
+    const { contentId, ...content } = guide;
+
+    await this.bundleImages(content, stagingDir);
+
+    if (this.includeMedia) {
+      await this.bundleMedia(content, markdownPath, stagingDir);
+    }
+
+    await fs.writeFile(path.join(stagingDir, 'content.json'), JSON.stringify(content, null, 2));
+
+    // The manifest lists every other file so the app can verify the package after unpacking
+    const files = await this.listFiles(stagingDir);
+    const manifest = {
+      format_version: BUNDLE_FORMAT_VERSION,
+      schema_version: SCHEMA_VERSION,
+      content_id: guide.content_id,
+      version: guide.version,
+      created_at: new Date().toISOString(),
+      files: [],
+      total_size: 0
+    };
+
+    for (const file of files) {
+      const filePath = path.join(stagingDir, file);
+      const { size } = await fs.stat(filePath);
+      manifest.files.push({ path: file, size, sha256: await hashFile(filePath) });
+      manifest.total_size += size;
+    }
+
+    await fs.writeFile(path.join(stagingDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    const packagePath = path.join(this.outputPath, `${name}.tar.gz`);
+    await tar.c({ gzip: true, file: packagePath, cwd: stagingDir, portable: true }, ['manifest.json', ...files]);
+    await fs.rm(stagingDir, { recursive: true, force: true });
+
+    const checksum = await hashFile(packagePath);
+    const { size } = await fs.stat(packagePath);
+    await fs.writeFile(`${packagePath}.sha256`, `${checksum}  ${path.basename(packagePath)}\n`);
+
+    return { contentId: guide.content_id, path: packagePath, checksum, size, manifest };
+  }
+
+  async bundleImages(content, stagingDir) {
+    const variantLists = [content.thumbnail_variants];
+    const collect = (steps) => steps.forEach(step => {
+      variantLists.push(step.image?.variants);
+      collect(step.sub_steps || []);
+    });
+    collect(content.text_content.steps);
+
+    const imageDir = this.ingester.images.getOutputDir(content.content_id);
+
+    // WebP is enough offline; the PNG fallbacks stay remote-only
+    for (const variants of variantLists.filter(Boolean)) {
+      for (const variant of variants.filter(variant => variant.format === 'webp')) {
+        const file = path.basename(new URL(variant.url).pathname);
+        const localPath = `images/${file}`;
+
+        await fs.mkdir(path.join(stagingDir, 'images'), { recursive: true });
+        await fs.copyFile(path.join(imageDir, file), path.join(stagingDir, localPath));
+        variant.local_path = localPath;
+      }
+    }
+  }
+
+  async bundleMedia(content, markdownPath, stagingDir) {
+    const video = await this.ingester.locateVideo(markdownPath, content.content_id);
+
+    if (!video || video.ext === '.m3u8') {
+      return;
+    }
+
+    const result = await this.ingester.media.processVideo(video.path, content.content_id);
+
+    // Only the lowest rendition is shipped offline to keep packages small
+    const rendition = result.renditions[0];
+    const files = result.files.filter(file => file.startsWith(`${rendition}.`) || file.startsWith(`${rendition}_`));
+
+    await fs.mkdir(path.join(stagingDir, 'media'), { recursive: true });
+    for (const file of [...files, result.poster]) {
+      await fs.copyFile(path.join(result.outputDir, file), path.join(stagingDir, 'media', file));
+    }
+
+    content.offline_video_path = `media/${rendition}.m3u8`;
+    content.offline_poster_path = `media/${result.poster}`;
+    content.video_duration = result.duration;
+  }
+
+  async publishBundle(guide, bundle, existing) {
+    const upload = await this.ingester.uploadFile(
+      bundle.path,
+      `${guide.content_id}/bundles/${path.basename(bundle.path)}`,
+      'application/gzip'
+    );
+    bundle.url = upload.url;
+
+    await this.storage.markGuideOffline(guide.content_id, {
+      localData: this.embed ? await fs.readFile(bundle.path) : null
+    });
+
+    bundle.download = await this.storage.createDownloadRecord(existing.id, bundle.size);
+  }
+
+  async listFiles(dir, prefix = '') {
+    const files = [];
+
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+      const relativePath = path.posix.join(prefix, entry.name);
+
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(dir, relativePath));
+      } else {
+        files.push(relativePath);
+      }
+    }
+
+    return files.sort();
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
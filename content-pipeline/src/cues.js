@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeArabic } from './arabic.js';
+
+// Word-level timings for a step's recitation audio, so the app can highlight each word as it is recited
+export const CUE_EXTENSIONS = ['.vtt', '.json'];
+
+const TIMESTAMP = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/;
+
+// Reads a WebVTT or JSON cue file; parse errors carry the file and, for WebVTT, the line
+export async function loadAudioCues(filePath) {
+  const text = await fs.readFile(filePath, 'utf-8');
+
+  try {
+    return path.extname(filePath) === '.json' ? parseJsonCues(text) : parseWebVtt(text);
+  } catch (error) {
+    throw Object.assign(error, { file: filePath });
+  }
+}
+
+// Cue settings after the timestamps and tags such as <c> or <v Reciter> are dropped
+export function parseWebVtt(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  if (!/^WEBVTT(\s|$)/.test(lines[0])) {
+    throw Object.assign(new Error('WebVTT cue file must start with "WEBVTT"'), { line: 1 });
+  }
+
+  const cues = [];
+
+  for (let index = 1; index < lines.length; index++) {
+    const timing = lines[index].match(/^(\S+)\s+-->\s+(\S+)/);
+
+    if (!timing) {
+      continue;
+    }
+
+    const start = parseTimestamp(timing[1]);
+    const end = parseTimestamp(timing[2]);
+
+    if (start === null || end === null) {
+      throw Object.assign(new Error(`Invalid cue timing "${lines[index]}"`), { line: index + 1 });
+    }
+
+    const words = [];
+    while (index + 1 < lines.length && lines[index + 1].trim()) {
+      words.push(lines[++index].replace(/<[^>]*>/g, '').trim());
+    }
+
+    cues.push({ start, end, text: normalizeArabic(words.join(' ').trim()) });
+  }
+
+  return cues;
+}
+
+// [{ "start": 0, "end": 0.6, "text": "..." }], with times in seconds
+export function parseJsonCues(text) {
+  let cues;
+  try {
+    cues = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON cue file: ${error.message}`);
+  }
+
+  if (!Array.isArray(cues)) {
+    throw new Error('JSON cue file must hold an array of cues');
+  }
+
+  return cues.map((cue, index) => {
+    if (typeof cue?.start !== 'number' || typeof cue.end !== 'number' || typeof cue.text !== 'string') {
+      throw new Error(`Cue ${index + 1} needs a numeric start and end and a text`);
+    }
+
+    return { start: cue.start, end: cue.end, text: normalizeArabic(cue.text.trim()) };
+  });
+}
+
+// Returns a readable reason when the cues can't be played back against the clip, or null
+export function checkAudioCues(cues, duration = null) {
+  for (const [index, cue] of cues.entries()) {
+    if (cue.start < 0 || cue.end <= cue.start) {
+      return `cue ${index + 1} ends before it starts`;
+    }
+
+    if (index > 0 && cue.start < cues[index - 1].end) {
+      return `cue ${index + 1} overlaps the cue before it`;
+    }
+
+    if (duration !== null && cue.end > duration) {
+      return `cue ${index + 1} ends at ${cue.end}s, after the ${duration}s clip`;
+    }
+  }
+
+  return null;
+}
+
+function parseTimestamp(timestamp) {
+  const match = timestamp.match(TIMESTAMP);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, hours = '0', minutes, seconds, milliseconds] = match;
+
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(milliseconds) / 1000;
+}
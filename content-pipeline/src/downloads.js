@@ -0,0 +1,223 @@
+import { createStorage } from './storage.js';
+
+export const DOWNLOAD_STATUSES = ['pending', 'downloading', 'completed', 'failed'];
+
+// Why a download failed; the app reports one of these, and reaping records stale
+export const FAILURE_REASONS = {
+  network: 'The connection dropped or timed out',
+  storage_full: 'The device ran out of space',
+  checksum_mismatch: 'The package did not match its checksum',
+  server_error: 'The server returned an error',
+  cancelled: 'The download was cancelled',
+  stale: 'No progress was reported in time',
+  unknown: 'No reason was reported'
+};
+
+// Each event moves a download from one of the listed states to the next
+export const DOWNLOAD_TRANSITIONS = {
+  start: { from: ['pending'], to: 'downloading' },
+  progress: { from: ['downloading'], to: 'downloading' },
+  complete: { from: ['downloading'], to: 'completed' },
+  fail: { from: ['pending', 'downloading'], to: 'failed' },
+  retry: { from: ['failed'], to: 'pending' }
+};
+
+export const MAX_DOWNLOAD_ATTEMPTS = 3;
+
+// Downloads that report no progress for this long are assumed to have been abandoned by the app
+const DEFAULT_STALE_MINUTES = 30;
+
+export class DownloadTracker {
+  constructor(options = {}) {
+    this.storage = options.storage || createStorage();
+    this.maxAttempts = options.maxAttempts || MAX_DOWNLOAD_ATTEMPTS;
+    this.staleMinutes = options.staleMinutes || parseInt(process.env.DOWNLOAD_STALE_MINUTES, 10) || DEFAULT_STALE_MINUTES;
+  }
+
+  async create(guideId, fileSize) {
+    return this.storage.createDownloadRecord(guideId, fileSize);
+  }
+
+  async start(downloadId) {
+    return this.transition(downloadId, 'start', download => ({
+      attempts: (download.attempts || 0) + 1,
+      started_at: new Date().toISOString()
+    }));
+  }
+
+  async progress(downloadId, progress, downloadedSize) {
+    return this.transition(downloadId, 'progress', () => ({
+      download_progress: Math.max(0, Math.min(100, Math.floor(progress))),
+      downloaded_size: downloadedSize
+    }));
+  }
+
+  // Completion is reported separately from progress so the app can verify the package first
+  async complete(downloadId) {
+    return this.transition(downloadId, 'complete', download => ({
+      download_progress: 100,
+      downloaded_size: download.file_size ?? download.downloaded_size,
+      completed_at: new Date().toISOString()
+    }));
+  }
+
+  // download is the row as the caller last read it, when the failure only holds if nothing has happened since
+  async fail(downloadId, reason = 'unknown', message = null, { download = null } = {}) {
+    if (!FAILURE_REASONS[reason]) {
+      throw new Error(`Unknown failure reason "${reason}". Must be one of: ${Object.keys(FAILURE_REASONS).join(', ')}`);
+    }
+
+    return this.transition(downloadId, 'fail', () => ({
+      failure_reason: reason,
+      error_message: message || FAILURE_REASONS[reason]
+    }), { download });
+  }
+
+  // Puts a failed download back in the queue; attempts carry over so a broken package isn't retried forever
+  async retry(downloadId) {
+    return this.transition(downloadId, 'retry', (download) => {
+      if ((download.attempts || 0) >= this.maxAttempts) {
+        throw new Error(`Cannot retry download ${downloadId}: it has failed ${download.attempts} times`);
+      }
+
+      return {
+        download_progress: 0,
+        downloaded_size: 0,
+        failure_reason: null,
+        error_message: null,
+        started_at: null,
+        completed_at: null
+      };
+    });
+  }
+
+  // Retries every failed download with attempts left, except the ones the user cancelled
+  async retryFailed() {
+    const downloads = await this.storage.getDownloads();
+    const retryable = downloads.filter(download =>
+      download.download_status === 'failed'
+      && download.failure_reason !== 'cancelled'
+      && (download.attempts || 0) < this.maxAttempts
+    );
+
+    const retried = [];
+    for (const download of retryable) {
+      retried.push(await this.retry(download.id));
+    }
+
+    return retried;
+  }
+
+  // Fails downloads the app stopped reporting on, so they no longer count as in progress
+  async reapStale(now = new Date()) {
+    const cutoff = now.getTime() - this.staleMinutes * 60 * 1000;
+    const downloads = await this.storage.getDownloads();
+    const stale = downloads.filter(download =>
+      download.download_status === 'downloading'
+      && new Date(download.updated_at || download.started_at).getTime() < cutoff
+    );
+
+    const reaped = [];
+    for (const download of stale) {
+      try {
+        reaped.push(await this.fail(download.id, 'stale', `No progress for over ${this.staleMinutes} minutes`, { download }));
+      } catch (error) {
+        // It reported progress or finished since it was listed, so it wasn't stale after all
+        if (!error.conflict) throw error;
+      }
+    }
+
+    return reaped;
+  }
+
+  // Retries reset a download, so failures are counted from its attempts rather than its current status;
+  // failure reasons only survive on downloads that are still failed
+  async getStats() {
+    const downloads = await this.storage.getDownloads();
+    const contentIds = new Map((await this.storage.getAllGuides()).map(guide => [guide.id, guide.content_id]));
+
+    const byStatus = Object.fromEntries(DOWNLOAD_STATUSES.map(status => [status, 0]));
+    const failuresByReason = {};
+    const failuresByGuide = {};
+    let failedAttempts = 0;
+
+    for (const download of downloads) {
+      byStatus[download.download_status] += 1;
+
+      const failures = countFailedAttempts(download);
+      if (failures > 0) {
+        const contentId = contentIds.get(download.guide_id) || download.guide_id;
+        failuresByGuide[contentId] = (failuresByGuide[contentId] || 0) + failures;
+        failedAttempts += failures;
+      }
+
+      if (download.download_status === 'failed') {
+        const reason = download.failure_reason || 'unknown';
+        failuresByReason[reason] = (failuresByReason[reason] || 0) + 1;
+      }
+    }
+
+    const sizes = downloads
+      .filter(download => download.download_status === 'completed')
+      .map(download => download.file_size ?? download.downloaded_size)
+      .filter(size => size != null);
+    const finished = byStatus.completed + failedAttempts;
+
+    return {
+      total: downloads.length,
+      byStatus,
+      failedAttempts,
+      successRate: finished > 0 ? byStatus.completed / finished : null,
+      averageSize: sizes.length > 0 ? Math.round(sizes.reduce((sum, size) => sum + Number(size), 0) / sizes.length) : null,
+      failuresByReason,
+      failuresByGuide: Object.entries(failuresByGuide)
+        .map(([contentId, failures]) => ({ contentId, failures }))
+        .sort((a, b) => b.failures - a.failures || a.contentId.localeCompare(b.contentId))
+    };
+  }
+
+  async transition(downloadId, event, createUpdate, { download: read = null } = {}) {
+    const download = read || await this.storage.getDownload(downloadId);
+
+    if (!download) {
+      throw new Error(`Download ${downloadId} not found`);
+    }
+
+    const { from, to } = DOWNLOAD_TRANSITIONS[event];
+    if (!from.includes(download.download_status)) {
+      throw new Error(`Cannot ${event} download ${downloadId}: it is ${download.download_status}, expected ${from.join(' or ')}`);
+    }
+
+    const update = {
+      ...createUpdate(download),
+      download_status: to,
+      updated_at: new Date().toISOString()
+    };
+
+    // Only written if nothing else moved the download on since it was read, e.g. the app reporting progress while it is
+    // reaped; progress keeps the status, so updated_at is checked as well
+    const updated = await this.storage.updateDownload(downloadId, update, {
+      expectedStatus: download.download_status,
+      expectedUpdatedAt: download.updated_at
+    });
+    if (!updated) {
+      throw Object.assign(new Error(`Cannot ${event} download ${downloadId}: it changed while being updated`), { conflict: true });
+    }
+
+    return { ...download, ...update };
+  }
+}
+
+// Every attempt but a running or successful last one has failed; a download can fail before it ever starts
+function countFailedAttempts(download) {
+  const attempts = download.attempts || 0;
+
+  switch (download.download_status) {
+    case 'failed':
+      return Math.max(attempts, 1);
+    case 'pending':
+      return attempts;
+    default:
+      return Math.max(attempts - 1, 0);
+  }
+}
@@ -0,0 +1,329 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'yaml';
+import chalk from 'chalk';
+import ora from 'ora';
+import { createStorage } from './storage.js';
+import { ContentIngester } from './ingester.js';
+import { usesTemplates } from './templates.js';
+import { formatCitation } from './sources.js';
+
+export class ContentExporter {
+  constructor(options = {}) {
+    // Exports are expanded guides, so they go next to the sources rather than over them
+    this.outputPath = options.outputPath || './exported';
+    this.contentIds = options.contentIds || [];
+    this.dryRun = options.dryRun || false;
+    this.verbose = options.verbose || false;
+    this.storage = options.storage || createStorage();
+  }
+
+  async run() {
+    const spinner = ora('Fetching guides from database...').start();
+
+    try {
+      const allGuides = await this.storage.getAllGuides();
+      const guides = this.contentIds.length === 0
+        ? allGuides
+        : allGuides.filter(guide => this.contentIds.includes(guide.content_id));
+
+      const missing = this.contentIds.filter(id => !guides.some(guide => guide.content_id === id));
+      if (missing.length > 0) {
+        throw new Error(`Guides not found in database: ${missing.join(', ')}`);
+      }
+
+      spinner.succeed(`Found ${guides.length} guides to export`);
+
+      if (!this.dryRun) {
+        await fs.mkdir(this.outputPath, { recursive: true });
+      }
+
+      const existingFiles = await this.findExistingFiles();
+      const results = [];
+      for (const guide of guides) {
+        const files = [{ locale: null, markdown: this.guideToMarkdown(guide) }];
+
+        for (const locale of Object.keys(guide.translations || {}).sort()) {
+          files.push({ locale, markdown: this.translationToMarkdown(guide, locale) });
+        }
+
+        for (const { locale, markdown } of files) {
+          // A guide already in the output directory is written back to its own file, whatever it is called
+          const existing = existingFiles.get(`${guide.content_id}:${locale || ''}`);
+          const filePath = existing?.filePath || path.join(this.outputPath, this.getFileName(guide, locale));
+
+          if (existing?.templated) {
+            console.log(chalk.yellow(`⚠️  Skipped ${filePath}: it uses includes or a base guide, which exporting would flatten`));
+            results.push({ contentId: guide.content_id, locale, filePath, status: 'skipped' });
+            continue;
+          }
+
+          const status = await this.compareWithExisting(filePath, markdown);
+
+          if (!this.dryRun && status !== 'unchanged') {
+            await fs.writeFile(filePath, markdown);
+          }
+
+          results.push({ contentId: guide.content_id, locale, filePath, status });
+        }
+      }
+
+      // Summary
+      console.log(chalk.blue('\n📊 Export Summary:'));
+      console.log(`Created: ${chalk.green(results.filter(result => result.status === 'created').length)}`);
+      console.log(`Changed: ${chalk.yellow(results.filter(result => result.status === 'changed').length)}`);
+      console.log(`Unchanged: ${chalk.gray(results.filter(result => result.status === 'unchanged').length)}`);
+      console.log(`Skipped: ${chalk.yellow(results.filter(result => result.status === 'skipped').length)}`);
+      console.log(`Dry run: ${this.dryRun ? chalk.yellow('Yes') : chalk.green('No')}`);
+
+      if (this.verbose) {
+        results.forEach(result => {
+          console.log(`  ${chalk.green('✓')} ${result.contentId} → ${result.filePath} (${result.status})`);
+        });
+      }
+
+      return results;
+    } catch (error) {
+      spinner.fail('Content export failed');
+      throw error;
+    }
+  }
+
+  // Markdown files already in the output directory by content ID and locale, and whether they are authored with
+  // includes, rakah blocks or a base guide
+  async findExistingFiles() {
+    const scanner = new ContentIngester({ sourcePath: this.outputPath, dryRun: true, storage: this.storage });
+    const { guides, translations } = await scanner.getContentIndex();
+    const files = new Map();
+
+    for (const file of [...guides, ...translations]) {
+      if (!file.contentId) {
+        continue;
+      }
+
+      const { frontmatter, markdown } = scanner.parseFrontmatter(await fs.readFile(file.filePath, 'utf-8'));
+      files.set(`${file.contentId}:${file.locale || ''}`, {
+        filePath: file.filePath,
+        templated: Boolean(frontmatter.base) || usesTemplates(markdown)
+      });
+    }
+
+    return files;
+  }
+
+  async compareWithExisting(filePath, markdown) {
+    try {
+      const existing = await fs.readFile(filePath, 'utf-8');
+      return existing === markdown ? 'unchanged' : 'changed';
+    } catch {
+      return 'created';
+    }
+  }
+
+  getFileName(guide, locale = null) {
+    const name = guide.madhab
+      ? `${guide.prayer_name}-${guide.sect}-${guide.madhab}`
+      : `${guide.prayer_name}-${guide.sect}`;
+
+    return locale ? `${name}.${locale}.md` : `${name}.md`;
+  }
+
+  guideToMarkdown(guide) {
+    const content = typeof guide.text_content === 'string'
+      ? JSON.parse(guide.text_content)
+      : guide.text_content || { steps: [], rakah_instructions: [] };
+
+    // Key order mirrors the hand-written guides in content/
+    const frontmatter = {
+      contentId: guide.content_id,
+      title: guide.title,
+      prayerName: guide.prayer_name,
+      sect: guide.sect,
+      rakahCount: guide.rakah_count,
+      version: guide.version || 1
+    };
+
+    // Madhab overrides are stored merged, so they come back as complete guides rather than overrides
+    if (guide.madhab) {
+      frontmatter.madhab = guide.madhab;
+    }
+
+    if (guide.difficulty) {
+      frontmatter.difficulty = guide.difficulty;
+    }
+
+    if (guide.duration) {
+      frontmatter.duration = guide.duration;
+    }
+
+    if (guide.thumbnail_url) {
+      frontmatter.thumbnailUrl = guide.thumbnail_url;
+    }
+
+    if (guide.video_url) {
+      frontmatter.videoUrl = guide.video_url;
+    }
+
+    // Stats of the already-processed thumbnail and video, which the ingester can't measure from a URL
+    const media = {
+      thumbnail: pickStats(guide, { width: 'thumbnail_width', height: 'thumbnail_height', blurhash: 'thumbnail_blurhash', variants: 'thumbnail_variants' }),
+      video: pickStats(guide, { duration: 'video_duration', size: 'video_size' })
+    };
+    if (media.thumbnail || media.video) {
+      frontmatter.media = Object.fromEntries(Object.entries(media).filter(([, stats]) => stats));
+    }
+
+    const rakahInstructions = content.rakah_instructions || [];
+    const rakahStep = content.steps.find(step => /rakah instructions/i.test(step.title));
+    const blocks = [`# ${guide.title}`];
+
+    // The ingester reads the description back from the paragraphs before the first step
+    if (guide.description) {
+      blocks.push(guide.description);
+    }
+
+    // Rakah instructions are collected from any list, so without a matching step they can live in the intro
+    if (!rakahStep && rakahInstructions.length > 0) {
+      blocks.push(this.listToMarkdown(rakahInstructions));
+    }
+
+    for (const step of content.steps) {
+      blocks.push(...this.stepToMarkdown(step, 2));
+
+      if (step === rakahStep && rakahInstructions.length > 0) {
+        blocks.push(this.listToMarkdown(rakahInstructions));
+      }
+    }
+
+    return `---\n${yaml.stringify(frontmatter)}---\n\n${blocks.join('\n\n')}\n`;
+  }
+
+  translationToMarkdown(guide, locale) {
+    const translation = guide.translations[locale];
+    const frontmatter = {
+      contentId: guide.content_id,
+      locale,
+      title: translation.title,
+      sourceVersion: translation.source_version
+    };
+
+    const blocks = [`# ${translation.title}`];
+
+    if (translation.description) {
+      blocks.push(translation.description);
+    }
+
+    for (const step of translation.steps) {
+      blocks.push(...this.translatedStepToMarkdown(step, 2));
+    }
+
+    return `---\n${yaml.stringify(frontmatter)}---\n\n${blocks.join('\n\n')}\n`;
+  }
+
+  // Untranslated steps carry the English fallback, which the ingester recognises again on the way back in
+  translatedStepToMarkdown(step, depth) {
+    const blocks = [`${'#'.repeat(depth)} ${step.title}`];
+
+    if (step.description) {
+      blocks.push(step.description);
+    }
+
+    for (const recitation of step.recitations || []) {
+      if (recitation.translation) {
+        blocks.push(`Translation: ${recitation.translation}`);
+      }
+    }
+
+    for (const subStep of step.sub_steps || []) {
+      blocks.push(...this.translatedStepToMarkdown(subStep, depth + 1));
+    }
+
+    return blocks;
+  }
+
+  stepToMarkdown(step, depth) {
+    const blocks = [`${'#'.repeat(depth)} ${step.title}`];
+
+    const metadata = this.stepMetadataToComment(step);
+    if (metadata) {
+      blocks.push(metadata);
+    }
+
+    if (step.image_url) {
+      blocks.push(`![${step.image?.alt || ''}](<${step.image_url}>)`);
+    }
+
+    // Citations go back at the end of the description, where the ingester picks them up again
+    const citations = (step.sources || []).map(formatCitation);
+    if (step.description || citations.length > 0) {
+      blocks.push([step.description, ...citations].filter(Boolean).join(' '));
+    }
+
+    // Older rows only have the flat fields
+    const recitations = step.recitations || (step.arabic || step.transliteration || step.translation
+      ? [{ arabic: step.arabic, transliteration: step.transliteration, translation: step.translation }]
+      : []);
+
+    for (const recitation of recitations) {
+      if (recitation.arabic) {
+        blocks.push(recitation.arabic);
+      }
+      if (recitation.transliteration) {
+        blocks.push(`Transliteration: ${recitation.transliteration}`);
+      }
+      if (recitation.translation) {
+        blocks.push(`Translation: ${recitation.translation}`);
+      }
+    }
+
+    for (const subStep of step.sub_steps || []) {
+      blocks.push(...this.stepToMarkdown(subStep, depth + 1));
+    }
+
+    return blocks;
+  }
+
+  stepMetadataToComment(step) {
+    const metadata = [];
+
+    if (step.posture) {
+      metadata.push(`posture: ${step.posture}`);
+    }
+    if (step.recitation_mode) {
+      metadata.push(`recitation: ${step.recitation_mode}`);
+    }
+    if (step.repeat_count && step.repeat_count !== 1) {
+      metadata.push(`repeat: ${step.repeat_count}`);
+    }
+    if (step.quran_reference) {
+      metadata.push(`quran: ${step.quran_reference}`);
+    }
+    if (step.audio_url) {
+      metadata.push(`audio: ${JSON.stringify(step.audio_url)}`);
+    }
+
+    // The alt text stays in the image paragraph
+    const media = {
+      image: step.image_url ? pickStats(step.image, { width: 'width', height: 'height', blurhash: 'blurhash', variants: 'variants' }) : null,
+      audio: step.audio_url ? pickStats(step.audio, { duration: 'duration', size: 'size', cues: 'cues' }) : null
+    };
+    if (media.image || media.audio) {
+      metadata.push(`media: ${JSON.stringify(Object.fromEntries(Object.entries(media).filter(([, stats]) => stats)))}`);
+    }
+
+    return metadata.length > 0 ? `<!-- step: { ${metadata.join(', ')} } -->` : null;
+  }
+
+  listToMarkdown(items) {
+    return items.map(item => `- ${item}`).join('\n');
+  }
+}
+
+// The set stats of a media object under their exported names, or null when none are set
+function pickStats(source, fields) {
+  const stats = Object.entries(fields)
+    .filter(([, field]) => source?.[field] != null)
+    .map(([name, field]) => [name, source[field]]);
+
+  return stats.length > 0 ? Object.fromEntries(stats) : null;
+}
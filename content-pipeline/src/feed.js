@@ -0,0 +1,254 @@
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { createHash, createPrivateKey, createPublicKey, sign, verify } from 'crypto';
+import chalk from 'chalk';
+import { createStorage } from './storage.js';
+import { hashContent } from './hash.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+// Bumped whenever the manifest or delta layout changes so the app can refuse feeds it can't read
+export const FEED_FORMAT_VERSION = 1;
+
+// Apps further behind than this many deltas fetch the manifest's guides instead
+const MAX_DELTAS = 100;
+
+// Guide and delta files never change once written; the manifest is refetched often
+const IMMUTABLE_CACHE_SECONDS = 31536000;
+const MANIFEST_CACHE_SECONDS = 60;
+
+// Columns the app has no use for
+const PRIVATE_FIELDS = ['local_data'];
+
+// Publishes published guides as static files the app can sync from without querying prayer_guides:
+//   manifest.json                  every guide with its version, hash, size and media, plus the available deltas
+//   manifest.json.sig              base64 Ed25519 signature of manifest.json
+//   guides/<id>/v<n>-<sha>.json    one guide row, named by the hash of the file so it can be cached forever
+//   deltas/<sequence>.json         guides changed and removed since the previous sequence
+// URLs in the manifest and deltas are relative to the manifest, so the directory can be served from anywhere.
+export class ContentFeedPublisher {
+  constructor(options = {}) {
+    this.outputPath = options.outputPath || process.env.FEED_OUTPUT_PATH || './feed';
+    this.upload = options.upload ?? true;
+    this.verbose = options.verbose || false;
+    this.storage = options.storage || createStorage();
+    this.signingKey = options.signingKey || null;
+  }
+
+  async run() {
+    this.signingKey ??= loadSigningKey();
+    const rows = (await this.storage.getAllGuides()).filter(row => row.status === 'published');
+    const previous = await this.readPreviousManifest();
+
+    const entries = [];
+    const files = [];
+
+    for (const row of rows) {
+      const { entry, file } = await this.writeGuide(row);
+      entries.push(entry);
+      files.push(file);
+    }
+
+    entries.sort((a, b) => a.content_id.localeCompare(b.content_id));
+
+    const delta = this.diffEntries(previous?.guides || [], entries);
+    const changed = !previous || delta.changed.length > 0 || delta.removed.length > 0;
+    const sequence = changed ? (previous?.sequence || 0) + 1 : previous.sequence;
+    const deltas = [...(previous?.deltas || [])];
+
+    if (changed && previous) {
+      const deltaFile = `deltas/${sequence}.json`;
+      const { size, sha256 } = await this.writeFile(deltaFile, serialize({
+        format_version: FEED_FORMAT_VERSION,
+        from: previous.sequence,
+        to: sequence,
+        ...delta
+      }));
+
+      deltas.push({ from: previous.sequence, to: sequence, url: deltaFile, size, sha256 });
+      files.push(deltaFile);
+    }
+
+    const manifest = changed
+      ? {
+        format_version: FEED_FORMAT_VERSION,
+        schema_version: SCHEMA_VERSION,
+        sequence,
+        generated_at: new Date().toISOString(),
+        key_id: this.signingKey ? getKeyId(createPublicKey(this.signingKey)) : null,
+        guides: entries,
+        deltas: deltas.slice(-MAX_DELTAS)
+      }
+      : previous;
+
+    const manifestBytes = Buffer.from(JSON.stringify(manifest, null, 2));
+    await fs.mkdir(this.outputPath, { recursive: true });
+    await fs.writeFile(path.join(this.outputPath, 'manifest.json'), manifestBytes);
+
+    if (this.signingKey) {
+      await fs.writeFile(path.join(this.outputPath, 'manifest.json.sig'), signManifest(manifestBytes, this.signingKey));
+    } else {
+      console.warn(chalk.yellow('⚠️  FEED_SIGNING_KEY is not set. The feed manifest is unsigned.'));
+    }
+
+    if (this.upload) {
+      await this.uploadFeed(files);
+    }
+
+    return { sequence, changed, guides: entries.length, delta: changed && previous ? delta : null };
+  }
+
+  // The last published manifest decides the next sequence number, so it is read from storage when uploading
+  async readPreviousManifest() {
+    try {
+      const data = this.upload
+        ? await this.storage.readMedia('feed/manifest.json')
+        : await fs.readFile(path.join(this.outputPath, 'manifest.json'));
+
+      return data ? JSON.parse(data.toString('utf-8')) : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read the previous feed manifest: ${error.message}`);
+    }
+  }
+
+  async writeGuide(row) {
+    const guide = { ...row };
+    PRIVATE_FIELDS.forEach(field => delete guide[field]);
+
+    // Rows written before text_content was stored as JSONB hold a JSON string
+    if (typeof guide.text_content === 'string') {
+      guide.text_content = JSON.parse(guide.text_content);
+    }
+
+    const version = guide.version || 1;
+    const serialized = serialize(guide);
+    const file = `guides/${guide.content_id}/v${version}-${serialized.sha256.slice(0, 12)}.json`;
+    const { size, sha256 } = await this.writeFile(file, serialized);
+
+    return {
+      file,
+      entry: {
+        content_id: guide.content_id,
+        version,
+        content_hash: hashContent(guide),
+        prayer_name: guide.prayer_name,
+        sect: guide.sect,
+        madhab: guide.madhab ?? null,
+        updated_at: guide.updated_at,
+        url: file,
+        size,
+        sha256,
+        media: this.listMedia(guide)
+      }
+    };
+  }
+
+  // Everything the app downloads to show the guide offline; sizes are null where the pipeline doesn't know them
+  listMedia(guide) {
+    const media = [];
+
+    if (guide.video_url) {
+      media.push({ type: 'video', url: guide.video_url, size: guide.video_size ?? null });
+    }
+    if (guide.thumbnail_url) {
+      media.push({ type: 'thumbnail', url: guide.thumbnail_url, size: null });
+    }
+
+    const collect = (steps) => steps.forEach(step => {
+      if (step.image_url) {
+        media.push({ type: 'image', url: step.image_url, size: null });
+      }
+      if (step.audio_url) {
+        media.push({ type: 'audio', url: step.audio_url, size: step.audio?.size ?? null });
+      }
+      collect(step.sub_steps || []);
+    });
+    collect(guide.text_content?.steps || []);
+
+    return media;
+  }
+
+  // Review status and timestamps can change without the content changing; the app still gets the new row
+  diffEntries(previousEntries, entries) {
+    const before = new Map(previousEntries.map(entry => [entry.content_id, entry]));
+    const after = new Set(entries.map(entry => entry.content_id));
+
+    return {
+      changed: entries.filter(entry => {
+        const old = before.get(entry.content_id);
+        return !old || old.sha256 !== entry.sha256;
+      }),
+      removed: previousEntries.filter(entry => !after.has(entry.content_id)).map(entry => entry.content_id)
+    };
+  }
+
+  async writeFile(relativePath, { bytes, size, sha256 }) {
+    const filePath = path.join(this.outputPath, relativePath);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, bytes);
+
+    return { size, sha256 };
+  }
+
+  // Guides and deltas go up before the manifest that points at them
+  async uploadFeed(files) {
+    for (const file of [...files, 'manifest.json', ...(this.signingKey ? ['manifest.json.sig'] : [])]) {
+      const immutable = file.startsWith('guides/') || file.startsWith('deltas/');
+      const upload = await this.storage.uploadMedia(path.join(this.outputPath, file), `feed/${file}`, {
+        contentType: file.endsWith('.sig') ? 'text/plain' : 'application/json',
+        cacheControl: String(immutable ? IMMUTABLE_CACHE_SECONDS : MANIFEST_CACHE_SECONDS)
+      });
+
+      if (this.verbose) {
+        console.log(chalk.gray(`  ${upload.skipped ? 'Unchanged' : 'Uploaded'} feed/${file}`));
+      }
+    }
+  }
+}
+
+function serialize(data) {
+  const bytes = Buffer.from(JSON.stringify(data, null, 2));
+  return { bytes, size: bytes.length, sha256: createHash('sha256').update(bytes).digest('hex') };
+}
+
+// A PEM Ed25519 private key, e.g. from `openssl genpkey -algorithm ed25519`, inline or as a file path
+function loadSigningKey() {
+  if (process.env.FEED_SIGNING_KEY) {
+    return createPrivateKey(process.env.FEED_SIGNING_KEY.replace(/\\n/g, '\n'));
+  }
+
+  if (process.env.FEED_SIGNING_KEY_PATH) {
+    let pem;
+    try {
+      pem = readFileSync(process.env.FEED_SIGNING_KEY_PATH, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      // A path copied from .env.example before a key was generated; publish unsigned rather than fail the ingest
+      console.warn(chalk.yellow(`⚠️  FEED_SIGNING_KEY_PATH ${process.env.FEED_SIGNING_KEY_PATH} does not exist.`));
+      return null;
+    }
+
+    return createPrivateKey(pem);
+  }
+
+  return null;
+}
+
+export function signManifest(manifestBytes, privateKey) {
+  return sign(null, manifestBytes, privateKey).toString('base64');
+}
+
+// What the app does with manifest.json and manifest.json.sig before trusting the feed
+export function verifyManifest(manifestBytes, signature, publicKey) {
+  return verify(null, manifestBytes, publicKey, Buffer.from(signature.trim(), 'base64'));
+}
+
+// Lets the app pick the right public key while keys are being rotated
+function getKeyId(publicKey) {
+  return createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+}
@@ -0,0 +1,260 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { hashFile } from './hash.js';
+
+export class FileStorageManager {
+  constructor(options = {}) {
+    this.name = 'local storage';
+    this.dataPath = path.resolve(options.dataPath || process.env.LOCAL_STORAGE_PATH || './.local-data');
+    this.storageBucket = process.env.STORAGE_BUCKET_NAME || 'prayer-guides';
+  }
+
+  async readTable(table) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dataPath, `${table}.json`), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read ${table}: ${error.message}`);
+    }
+  }
+
+  async writeTable(table, rows) {
+    await fs.mkdir(this.dataPath, { recursive: true });
+
+    // Write to a temporary file first so an interrupted run can't leave half a table behind
+    const filePath = path.join(this.dataPath, `${table}.json`);
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(rows, null, 2));
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+
+  async getStatus() {
+    const allGuides = await this.readTable('prayer_guides');
+    const downloads = await this.readTable('content_downloads');
+
+    // Totals count what app users see, i.e. published guides only
+    const guides = allGuides.filter(guide => guide.status === 'published');
+    const reviewStatus = { draft: 0, in_review: 0, approved: 0, published: 0 };
+    allGuides.forEach(guide => {
+      reviewStatus[guide.status || 'draft'] += 1;
+    });
+
+    const recentUpdates = [...guides]
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+      .slice(0, 5);
+
+    return {
+      totalGuides: guides.length,
+      sunniGuides: guides.filter(guide => guide.sect === 'sunni').length,
+      shiaGuides: guides.filter(guide => guide.sect === 'shia').length,
+      offlineGuides: guides.filter(guide => guide.is_available_offline).length,
+      pendingDownloads: downloads.filter(download => ['pending', 'downloading'].includes(download.download_status)).length,
+      reviewStatus,
+      recentUpdates: recentUpdates.map(update => ({
+        title: update.title,
+        date: new Date(update.updated_at).toLocaleDateString()
+      }))
+    };
+  }
+
+  async getAllGuides() {
+    const guides = await this.readTable('prayer_guides');
+
+    return guides.sort((a, b) =>
+      a.prayer_name.localeCompare(b.prayer_name) || a.sect.localeCompare(b.sect) || (a.madhab || '').localeCompare(b.madhab || '')
+    );
+  }
+
+  async getGuideByContentId(contentId) {
+    const guides = await this.readTable('prayer_guides');
+    return guides.find(guide => guide.content_id === contentId) || null;
+  }
+
+  async upsertGuide(guide) {
+    await this.upsertGuides([guide]);
+  }
+
+  // Reads and writes the table once however many guides there are
+  async upsertGuides(guides) {
+    if (guides.length === 0) {
+      return;
+    }
+
+    const rows = await this.readTable('prayer_guides');
+    const now = new Date().toISOString();
+
+    for (const guide of guides) {
+      // Remove contentId property if it exists (used only for logging)
+      const { contentId, ...dbGuide } = guide;
+      const index = rows.findIndex(existing => existing.content_id === dbGuide.content_id);
+
+      if (index === -1) {
+        rows.push({
+          id: randomUUID(),
+          is_available_offline: false,
+          local_data: null,
+          status: 'draft',
+          created_at: now,
+          ...dbGuide,
+          updated_at: now
+        });
+      } else {
+        rows[index] = { ...rows[index], ...dbGuide, updated_at: now };
+      }
+    }
+
+    await this.writeTable('prayer_guides', rows);
+  }
+
+  async deleteGuide(contentId) {
+    const guides = await this.readTable('prayer_guides');
+    const removed = guides.filter(guide => guide.content_id === contentId).map(guide => guide.id);
+
+    await this.writeTable('prayer_guides', guides.filter(guide => guide.content_id !== contentId));
+
+    // Mirrors ON DELETE CASCADE on content_downloads.guide_id
+    const downloads = await this.readTable('content_downloads');
+    await this.writeTable('content_downloads', downloads.filter(download => !removed.includes(download.guide_id)));
+  }
+
+  async updateGuide(contentId, fields) {
+    const guides = await this.readTable('prayer_guides');
+    const guide = guides.find(existing => existing.content_id === contentId);
+
+    if (!guide) {
+      throw new Error(`Failed to update guide: ${contentId} not found`);
+    }
+
+    Object.assign(guide, fields, { updated_at: new Date().toISOString() });
+    await this.writeTable('prayer_guides', guides);
+  }
+
+  async getGuideRevisions(contentId) {
+    const revisions = await this.readTable('prayer_guide_revisions');
+
+    return revisions
+      .filter(revision => revision.content_id === contentId)
+      .sort((a, b) => b.version - a.version);
+  }
+
+  async createGuideRevision(revision) {
+    await this.createGuideRevisions([revision]);
+  }
+
+  async createGuideRevisions(revisions) {
+    if (revisions.length === 0) {
+      return;
+    }
+
+    const rows = await this.readTable('prayer_guide_revisions');
+    const now = new Date().toISOString();
+
+    rows.push(...revisions.map(revision => ({ id: randomUUID(), created_at: now, ...revision })));
+    await this.writeTable('prayer_guide_revisions', rows);
+  }
+
+  async markGuideOffline(contentId, { localData = null } = {}) {
+    const guides = await this.readTable('prayer_guides');
+    const guide = guides.find(existing => existing.content_id === contentId);
+
+    if (!guide) {
+      throw new Error(`Failed to mark guide offline: ${contentId} not found`);
+    }
+
+    guide.is_available_offline = true;
+    if (localData) {
+      guide.local_data = localData.toString('base64');
+    }
+
+    await this.writeTable('prayer_guides', guides);
+  }
+
+  async createDownloadRecord(guideId, fileSize) {
+    const downloads = await this.readTable('content_downloads');
+    const now = new Date().toISOString();
+    const record = {
+      id: randomUUID(),
+      guide_id: guideId,
+      download_status: 'pending',
+      download_progress: 0,
+      file_size: fileSize,
+      downloaded_size: 0,
+      failure_reason: null,
+      error_message: null,
+      attempts: 0,
+      started_at: null,
+      completed_at: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    downloads.push(record);
+    await this.writeTable('content_downloads', downloads);
+
+    return record;
+  }
+
+  async getDownloads() {
+    return this.readTable('content_downloads');
+  }
+
+  async getDownload(downloadId) {
+    const downloads = await this.readTable('content_downloads');
+    return downloads.find(download => download.id === downloadId) || null;
+  }
+
+  async updateDownload(downloadId, update, { expectedStatus = null, expectedUpdatedAt = null } = {}) {
+    const downloads = await this.readTable('content_downloads');
+    const download = downloads.find(existing => existing.id === downloadId);
+
+    if (!download) {
+      throw new Error(`Failed to update download: ${downloadId} not found`);
+    }
+
+    if ((expectedStatus && download.download_status !== expectedStatus) || (expectedUpdatedAt && download.updated_at !== expectedUpdatedAt)) {
+      return false;
+    }
+
+    Object.assign(download, update);
+    await this.writeTable('content_downloads', downloads);
+    return true;
+  }
+
+  getObjectPath(storagePath) {
+    return path.join(this.dataPath, 'storage', this.storageBucket, storagePath);
+  }
+
+  getPublicMediaUrl(storagePath) {
+    return pathToFileURL(this.getObjectPath(storagePath)).toString();
+  }
+
+  async readMedia(storagePath) {
+    try {
+      return await fs.readFile(this.getObjectPath(storagePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read ${storagePath}: ${error.message}`);
+    }
+  }
+
+  async uploadMedia(filePath, storagePath) {
+    const objectPath = this.getObjectPath(storagePath);
+    const url = this.getPublicMediaUrl(storagePath);
+    const { size } = await fs.stat(filePath);
+    const hash = await hashFile(filePath);
+
+    try {
+      if (await hashFile(objectPath) === hash) {
+        return { url, hash, size, skipped: true };
+      }
+    } catch {
+      // Not stored yet
+    }
+
+    await fs.mkdir(path.dirname(objectPath), { recursive: true });
+    await fs.copyFile(filePath, objectPath);
+
+    return { url, hash, size, skipped: false };
+  }
+}
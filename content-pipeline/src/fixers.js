@@ -0,0 +1,169 @@
+import { SECTS, getContentId } from './madhabs.js';
+import { PRAYER_NAMES } from './prayers.js';
+
+const RAKAH_ORDINALS = ['First', 'Second', 'Third', 'Fourth'];
+
+// Each fixer mutates the guide it is given and returns true when it changed something.
+// They run in order, so later fixers can rely on text_content already being an object.
+export const FIXERS = [
+  {
+    name: 'parse-text-content',
+    description: 'Reparse text_content stored as a JSON string into JSONB',
+    apply(guide) {
+      if (typeof guide.text_content !== 'string') {
+        return false;
+      }
+
+      try {
+        guide.text_content = JSON.parse(guide.text_content);
+        return true;
+      } catch {
+        // Broken JSON needs a human; the validator already reports it
+        return false;
+      }
+    }
+  },
+  {
+    name: 'normalise-content-id',
+    description: 'Rename content_id to the prayer_sect[_madhab]_guide convention',
+    apply(guide, { guides }) {
+      if (!PRAYER_NAMES.includes(guide.prayer_name) || !SECTS.includes(guide.sect)) {
+        return false;
+      }
+
+      const contentId = getContentId(guide.prayer_name, guide.sect, guide.madhab);
+      const taken = guides.some(other => other !== guide && other.content_id === contentId);
+
+      if (guide.content_id === contentId || taken) {
+        return false;
+      }
+
+      guide.content_id = contentId;
+      return true;
+    }
+  },
+  {
+    name: 'trim-empty-steps',
+    description: 'Remove steps and sub-steps that have no content',
+    apply(guide) {
+      const content = guide.text_content;
+
+      if (!content || typeof content !== 'object' || !Array.isArray(content.steps)) {
+        return false;
+      }
+
+      const trimmed = trimSteps(content.steps);
+      if (!trimmed) {
+        return false;
+      }
+
+      content.steps = trimmed;
+      return true;
+    }
+  },
+  {
+    name: 'fill-rakah-instructions',
+    description: 'Fill missing rakah_instructions from rakah_count',
+    apply(guide) {
+      const content = guide.text_content;
+
+      if (!content || typeof content !== 'object') {
+        return false;
+      }
+
+      if (Array.isArray(content.rakah_instructions) && content.rakah_instructions.length > 0) {
+        return false;
+      }
+
+      if (!Number.isInteger(guide.rakah_count) || guide.rakah_count < 1 || guide.rakah_count > RAKAH_ORDINALS.length) {
+        return false;
+      }
+
+      content.rakah_instructions = RAKAH_ORDINALS
+        .slice(0, guide.rakah_count)
+        .map(ordinal => `${ordinal} Rakah`);
+      return true;
+    }
+  }
+];
+
+export function applyFixers(guide, context = {}) {
+  const fixed = structuredClone(guide);
+  const applied = FIXERS.filter(fixer => fixer.apply(fixed, { guides: [], ...context }));
+
+  return { fixed, applied };
+}
+
+function isEmptyStep(step) {
+  return !step.title?.trim()
+    && !step.description?.trim()
+    && !step.arabic?.trim()
+    && !step.transliteration?.trim()
+    && !step.translation?.trim()
+    && !step.image_url
+    && (step.recitations || []).length === 0
+    && (step.sub_steps || []).length === 0;
+}
+
+// Returns the trimmed and renumbered steps, or null when nothing was removed
+function trimSteps(steps) {
+  let changed = false;
+
+  const kept = steps
+    .map(step => {
+      const subSteps = step.sub_steps ? trimSteps(step.sub_steps) : null;
+      if (subSteps) {
+        changed = true;
+        return { ...step, sub_steps: subSteps };
+      }
+      return step;
+    })
+    .filter(step => {
+      const empty = isEmptyStep(step);
+      changed = changed || empty;
+      return !empty;
+    });
+
+  if (!changed) {
+    return null;
+  }
+
+  kept.forEach((step, index) => {
+    step.step = index + 1;
+  });
+
+  return kept;
+}
+
+// Line diff of two values as pretty-printed JSON, using the longest common subsequence
+export function diffValues(before, after) {
+  const a = JSON.stringify(before, null, 2).split('\n');
+  const b = JSON.stringify(after, null, 2).split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: '-', text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: '+', text: b[j] });
+      j++;
+    }
+  }
+
+  return lines;
+}
@@ -0,0 +1,93 @@
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+
+export async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  
+  return hash.digest('hex');
+}
+
+// Fields that make up a guide's content; timestamps, versions and media stats are excluded, including the
+// duration and size of step clips inside text_content
+export const CONTENT_HASH_FIELDS = [
+  'title',
+  'prayer_name',
+  'sect',
+  'madhab',
+  'rakah_count',
+  'difficulty',
+  'duration',
+  'description',
+  'content_type',
+  'text_content',
+  'video_url',
+  'thumbnail_url',
+  'translations'
+];
+
+export function hashContent(guide) {
+  const content = {};
+  
+  for (const field of CONTENT_HASH_FIELDS) {
+    const value = guide[field] ?? null;
+    // Rows written before text_content was stored as JSONB hold a JSON string
+    content[field] = field === 'text_content'
+      ? withoutClipStats(typeof value === 'string' ? parseTextContent(value) : value)
+      : value;
+  }
+  
+  return createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+// Broken JSON is hashed as the raw string, so the row never matches parsed content and counts as changed;
+// the validator reports it
+function parseTextContent(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+// Clips are only transcoded on real runs, so dry runs such as sync planning and validation leave their stats null
+function withoutClipStats(textContent) {
+  if (!textContent || typeof textContent !== 'object' || !Array.isArray(textContent.steps)) {
+    return textContent;
+  }
+  
+  const strip = (steps) => steps.map(step => {
+    const stripped = { ...step };
+    
+    if (step.audio && typeof step.audio === 'object') {
+      const { duration, size, ...audio } = step.audio;
+      stripped.audio = audio;
+    }
+    if (Array.isArray(step.sub_steps)) {
+      stripped.sub_steps = strip(step.sub_steps);
+    }
+    
+    return stripped;
+  });
+  
+  return { ...textContent, steps: strip(textContent.steps) };
+}
+
+// JSONB doesn't preserve key order, so hashes are taken over sorted keys
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
@@ -0,0 +1,197 @@
+import chalk from 'chalk';
+import { createStorage } from './storage.js';
+import { CONTENT_HASH_FIELDS, hashContent } from './hash.js';
+import { diffValues } from './fixers.js';
+import { DRAFT_REVIEW_FIELDS } from './review.js';
+import { ContentFeedPublisher } from './feed.js';
+
+// Columns that describe the row rather than a version of its content
+const ROW_FIELDS = ['id', 'local_data', 'is_available_offline', 'created_at'];
+
+export class ContentHistory {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.storage = options.storage || createStorage();
+    this.feed = options.feed || null;
+  }
+
+  // Writes a guide, keeping the previous row as a revision and bumping the version when its content changed.
+  // The frontmatter version only acts as a floor, so authors can still jump versions on purpose.
+  // New and changed content is saved as a draft; unchanged guides keep their review status.
+  async saveGuide(guide) {
+    const existing = await this.storage.getGuideByContentId(guide.content_id);
+    const { row, revision, ...result } = this.planSave(guide, existing);
+
+    if (revision) {
+      await this.storage.createGuideRevision(revision);
+    }
+    await this.storage.upsertGuide(row);
+
+    return result;
+  }
+
+  // saveGuide for many guides at once: the current rows are read once and written back in batches
+  async saveGuides(guides) {
+    const existing = new Map((await this.storage.getAllGuides()).map(row => [row.content_id, row]));
+    const plans = guides.map(guide => this.planSave(guide, existing.get(guide.content_id) || null));
+
+    // Revisions go first, so a failed write never loses the version being replaced
+    await this.storage.createGuideRevisions(plans.filter(plan => plan.revision).map(plan => plan.revision));
+    await this.storage.upsertGuides(plans.map(plan => plan.row));
+
+    return plans.map(({ row, revision, ...result }) => result);
+  }
+
+  planSave(guide, existing) {
+    const requestedVersion = guide.version || 1;
+
+    if (!existing) {
+      const row = { ...guide, ...DRAFT_REVIEW_FIELDS, version: requestedVersion };
+      return { status: 'created', version: requestedVersion, row, revision: null };
+    }
+
+    const currentVersion = existing.version || 1;
+
+    if (hashContent(existing) === hashContent(guide)) {
+      // Media stats can still change without the content changing
+      const version = Math.max(currentVersion, requestedVersion);
+      return { status: 'unchanged', version, row: { ...guide, version }, revision: null };
+    }
+
+    const version = Math.max(currentVersion + 1, requestedVersion);
+    const row = { ...guide, ...DRAFT_REVIEW_FIELDS, version };
+
+    return { status: 'updated', version, row, revision: this.toRevision(existing) };
+  }
+
+  toRevision(row) {
+    const data = { ...row };
+    ROW_FIELDS.forEach(field => delete data[field]);
+
+    return {
+      content_id: row.content_id,
+      version: row.version || 1,
+      content_hash: hashContent(row),
+      data
+    };
+  }
+
+  async show(contentId, { diff = null } = {}) {
+    const current = await this.getCurrentGuide(contentId);
+    const revisions = await this.storage.getGuideRevisions(contentId);
+
+    console.log(chalk.blue(`\n📜 History of ${contentId}`));
+    console.log(`  v${current.version || 1} ${chalk.green('(current)')} ${chalk.gray(this.formatDate(current.updated_at))} ${chalk.gray(hashContent(current).slice(0, 12))}`);
+
+    revisions.forEach(revision => {
+      // updated_at is when that version was written; created_at is when it was replaced
+      const date = revision.data.updated_at || revision.created_at;
+      console.log(`  v${revision.version} ${chalk.gray(this.formatDate(date))} ${chalk.gray(revision.content_hash.slice(0, 12))}`);
+    });
+
+    if (revisions.length === 0) {
+      console.log(chalk.gray('  No earlier revisions'));
+    }
+
+    if (diff !== null) {
+      const revision = this.findRevision(revisions, contentId, diff);
+      console.log(chalk.blue(`\n🔍 Changes from v${revision.version} to v${current.version || 1}:`));
+      this.printDiff(revision.data, current);
+    }
+
+    return { current, revisions };
+  }
+
+  // Rolling back restores an earlier revision as a new version, so the rollback itself can be undone.
+  // The restored content comes back as a draft and has to be reviewed again, even if it was published before;
+  // a published guide leaves the app until then, so the feed is republished.
+  async rollback(contentId, targetVersion, { dryRun = false } = {}) {
+    const current = await this.getCurrentGuide(contentId);
+    const currentVersion = current.version || 1;
+
+    if (targetVersion === currentVersion) {
+      throw new Error(`${contentId} is already at v${targetVersion}`);
+    }
+
+    const revision = this.findRevision(await this.storage.getGuideRevisions(contentId), contentId, targetVersion);
+    const version = currentVersion + 1;
+
+    console.log(chalk.blue(`\n⏪ Restoring ${contentId} v${revision.version} as v${version}:`));
+    this.printDiff(current, revision.data);
+
+    if (!dryRun) {
+      const { updated_at, ...data } = revision.data;
+
+      await this.storage.createGuideRevision(this.toRevision(current));
+      await this.storage.upsertGuide({
+        ...data,
+        ...DRAFT_REVIEW_FIELDS,
+        content_id: contentId,
+        content_hash: hashContent(data),
+        version
+      });
+
+      if (current.status === 'published') {
+        await (this.feed || new ContentFeedPublisher({ storage: this.storage, verbose: this.verbose })).run();
+      }
+    }
+
+    return { contentId, restored: revision.version, version, dryRun };
+  }
+
+  async getCurrentGuide(contentId) {
+    const current = await this.storage.getGuideByContentId(contentId);
+
+    if (!current) {
+      throw new Error(`Guide ${contentId} not found in database`);
+    }
+
+    return current;
+  }
+
+  findRevision(revisions, contentId, version) {
+    const revision = revisions.find(candidate => candidate.version === version);
+
+    if (!revision) {
+      const available = revisions.map(candidate => `v${candidate.version}`).join(', ') || 'none';
+      throw new Error(`No revision v${version} of ${contentId} (available: ${available})`);
+    }
+
+    return revision;
+  }
+
+  printDiff(before, after) {
+    const lines = diffValues(this.contentFields(before), this.contentFields(after));
+
+    if (!lines.some(line => line.type !== ' ')) {
+      console.log(chalk.gray('  No content changes'));
+      return;
+    }
+
+    for (const line of lines) {
+      if (line.type === '+') {
+        console.log(chalk.green(`+ ${line.text}`));
+      } else if (line.type === '-') {
+        console.log(chalk.red(`- ${line.text}`));
+      } else if (this.verbose) {
+        console.log(chalk.gray(`  ${line.text}`));
+      }
+    }
+  }
+
+  // Only the hashed content fields are compared; media stats and timestamps would just add noise
+  contentFields(guide) {
+    const fields = {};
+
+    for (const field of CONTENT_HASH_FIELDS) {
+      const value = guide[field] ?? null;
+      fields[field] = field === 'text_content' && typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    return fields;
+  }
+
+  formatDate(date) {
+    return date ? new Date(date).toLocaleString() : 'unknown date';
+  }
+}
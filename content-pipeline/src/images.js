@@ -0,0 +1,66 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { encode } from 'blurhash';
+
+// Matches the @1x/@2x/@3x naming used in the iOS asset catalogue
+export const IMAGE_SCALES = [1, 2, 3];
+export const IMAGE_FORMATS = ['webp', 'png'];
+
+// Largest @3x width we keep; sources are treated as @3x artwork
+const MAX_WIDTH_3X = 1200;
+
+export class ImageProcessor {
+  constructor(options = {}) {
+    this.cachePath = options.cachePath || process.env.MEDIA_CACHE_PATH || './.media-cache';
+  }
+
+  getOutputDir(contentId) {
+    return path.join(this.cachePath, contentId, 'images');
+  }
+
+  async processImage(sourcePath, contentId, name) {
+    const outputDir = this.getOutputDir(contentId);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const metadata = await sharp(sourcePath).metadata();
+    const width3x = Math.min(metadata.width, MAX_WIDTH_3X);
+    const height3x = Math.round((metadata.height * width3x) / metadata.width);
+
+    const variants = [];
+    for (const scale of IMAGE_SCALES) {
+      const width = Math.max(1, Math.round((width3x * scale) / 3));
+
+      for (const format of IMAGE_FORMATS) {
+        const file = `${name}@${scale}x.${format}`;
+        const info = await sharp(sourcePath)
+          .rotate()
+          .resize({ width, withoutEnlargement: true })
+          .toFormat(format, format === 'webp' ? { quality: 82 } : { compressionLevel: 9 })
+          .toFile(path.join(outputDir, file));
+
+        variants.push({ file, scale, format, width: info.width, height: info.height, size: info.size });
+      }
+    }
+
+    return {
+      outputDir,
+      variants,
+      // Dimensions are reported in points, i.e. the @1x size
+      width: Math.round(width3x / 3),
+      height: Math.round(height3x / 3),
+      blurhash: await this.createBlurhash(sourcePath)
+    };
+  }
+
+  async createBlurhash(sourcePath) {
+    const { data, info } = await sharp(sourcePath)
+      .rotate()
+      .resize(32, 32, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+  }
+}
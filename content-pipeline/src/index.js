@@ -1,84 +1,333 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { program, Option } from 'commander';
 import chalk from 'chalk';
 import { ContentIngester } from './ingester.js';
 import { ContentValidator } from './validator.js';
-import { SupabaseManager } from './supabase.js';
+import { createStorage, STORAGE_BACKENDS } from './storage.js';
+import { ContentBundler } from './bundler.js';
+import { ContentSyncer } from './sync.js';
+import { ContentExporter } from './exporter.js';
+import { ContentHistory } from './history.js';
+import { ContentReviewer, REVIEW_ACTIONS } from './review.js';
+import { transliterate, TRANSLITERATION_SCHEMES } from './transliteration.js';
+import { ContentFeedPublisher } from './feed.js';
+import { DownloadTracker } from './downloads.js';
+import { createReport, renderReport, getExitCode, Finding, REPORT_FORMATS, EXIT_CODES } from './report.js';
 
 program
   .name('deenbuddy-content')
   .description('DeenBuddy Content Management Pipeline')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--storage <backend>', `Storage backend (${Object.keys(STORAGE_BACKENDS).join(' or ')})`)
+  .hook('preAction', () => {
+    if (program.opts().storage) {
+      process.env.CONTENT_STORAGE = program.opts().storage;
+    }
+  });
 
 program
   .command('ingest')
   .description('Ingest content from source directory')
   .option('-s, --source <path>', 'Source directory path', './content')
   .option('-d, --dry-run', 'Perform a dry run without uploading')
+  .option('--since <ref>', 'Only ingest guides whose files changed since this git ref')
+  .option('-f, --force', 'Reprocess every guide, even if its files are unchanged')
+  .option('-c, --concurrency <n>', 'Number of files to process at once', parseInt)
+  .addOption(formatOption())
   .option('-v, --verbose', 'Verbose output')
   .action(async (options) => {
     try {
+      useReportFormat(options.format);
       console.log(chalk.blue('🚀 Starting content ingestion...'));
       
       const ingester = new ContentIngester({
         sourcePath: options.source,
         dryRun: options.dryRun,
+        since: options.since,
+        force: options.force,
+        concurrency: options.concurrency,
         verbose: options.verbose
       });
       
-      await ingester.run();
-      console.log(chalk.green('✅ Content ingestion completed successfully!'));
+      const results = await ingester.run();
+      const report = createReport('ingest', results);
+      
+      if (report.status === 'partial') {
+        console.log(chalk.yellow(`⚠️  Content ingestion finished, but ${report.summary.failed_files} files failed`));
+      } else {
+        console.log(chalk.green('✅ Content ingestion completed successfully!'));
+      }
+      finishReport(report, options.format);
     } catch (error) {
       console.error(chalk.red('❌ Content ingestion failed:'), error.message);
-      process.exit(1);
+      failReport('ingest', error, options.format);
     }
   });
 
 program
   .command('validate')
-  .description('Validate existing content in database')
+  .description('Validate existing content in database, or local markdown with --source')
+  .option('-s, --source <path>', 'Validate markdown files in this directory instead of the database')
   .option('-f, --fix', 'Attempt to fix validation errors')
+  .option('-y, --yes', 'Apply fixes without asking for confirmation')
+  .option('--scheme <scheme>', `Transliteration scheme to suggest spellings in (${Object.keys(TRANSLITERATION_SCHEMES).join(' or ')})`, 'simple')
+  .option('--strict', 'Treat warnings as errors')
+  .addOption(formatOption())
   .option('-v, --verbose', 'Verbose output')
   .action(async (options) => {
     try {
+      useReportFormat(options.format);
       console.log(chalk.blue('🔍 Starting content validation...'));
       
       const validator = new ContentValidator({
+        sourcePath: options.source,
         fix: options.fix,
+        yes: options.yes,
+        transliterationScheme: options.scheme,
         verbose: options.verbose
       });
       
       const results = await validator.run();
+      const report = createReport('validate', {
+        files: results.guides.map(guide => ({ ...guide, status: 'checked' })),
+        errors: results.errors,
+        warnings: results.warnings,
+        strict: options.strict,
+        failed: results.failed
+      });
+      
+      if (results.warnings.length > 0) {
+        console.log(chalk.yellow(`⚠️  Found ${results.warnings.length} warnings${options.strict ? ' (treated as errors)' : ''}`));
+        results.warnings.forEach(warning => {
+          console.log(chalk.yellow(`  - ${warning}`));
+        });
+      }
       
       if (results.errors.length === 0) {
-        console.log(chalk.green('✅ All content is valid!'));
+        console.log(report.status === 'passed' ? chalk.green('✅ All content is valid!') : chalk.red('❌ Content has warnings and --strict is set'));
       } else {
-        console.log(chalk.yellow(`⚠️  Found ${results.errors.length} validation errors`));
+        console.log(chalk.red(`❌ Found ${results.errors.length} validation errors`));
         results.errors.forEach(error => {
           console.log(chalk.red(`  - ${error}`));
         });
       }
+      finishReport(report, options.format);
     } catch (error) {
       console.error(chalk.red('❌ Content validation failed:'), error.message);
-      process.exit(1);
+      failReport('validate', error, options.format);
     }
   });
 
 program
   .command('sync')
-  .description('Sync content with Supabase')
-  .option('-f, --force', 'Force sync even if content exists')
+  .description('Sync local content with the database')
+  .option('-s, --source <path>', 'Source directory path', './content')
+  .option('-f, --force', 'Overwrite guides that were edited in the database')
+  .option('-p, --prune', 'Delete guides that only exist in the database')
+  .option('-d, --dry-run', 'Show the sync plan without applying it')
+  .option('--strict', 'Treat skipped conflicts and guides only in the database as errors')
+  .addOption(formatOption())
+  .option('-v, --verbose', 'Verbose output')
   .action(async (options) => {
     try {
+      useReportFormat(options.format);
       console.log(chalk.blue('🔄 Starting content sync...'));
       
-      const supabase = new SupabaseManager();
-      await supabase.syncContent({ force: options.force });
+      const syncer = new ContentSyncer({
+        sourcePath: options.source,
+        force: options.force,
+        prune: options.prune,
+        dryRun: options.dryRun,
+        verbose: options.verbose
+      });
+      
+      const plan = await syncer.run();
       
-      console.log(chalk.green('✅ Content sync completed!'));
+      const report = createReport('sync', { ...syncer.summarize(plan), strict: options.strict });
+      
+      if (plan.conflicts.length > 0 && !options.force) {
+        console.log(chalk.yellow(`⚠️  Skipped ${plan.conflicts.length} guides edited in the database`));
+      }
+      
+      if (plan.failed.length > 0) {
+        console.log(chalk.yellow(`⚠️  Content sync finished, but ${plan.failed.length} guides failed to upload`));
+      } else {
+        console.log(chalk.green('✅ Content sync completed!'));
+      }
+      finishReport(report, options.format);
     } catch (error) {
       console.error(chalk.red('❌ Content sync failed:'), error.message);
+      failReport('sync', error, options.format);
+    }
+  });
+
+program
+  .command('export')
+  .alias('pull')
+  .description('Export database guides back to markdown files')
+  .argument('[contentIds...]', 'Content IDs to export (defaults to all guides)')
+  .option('-o, --output <path>', 'Output directory path; files that use includes or a base guide are never overwritten', './exported')
+  .option('-d, --dry-run', 'Report changes without writing files')
+  .option('-v, --verbose', 'Verbose output')
+  .action(async (contentIds, options) => {
+    try {
+      console.log(chalk.blue('📤 Starting content export...'));
+      
+      const exporter = new ContentExporter({
+        outputPath: options.output,
+        contentIds,
+        dryRun: options.dryRun,
+        verbose: options.verbose
+      });
+      
+      await exporter.run();
+      console.log(chalk.green('✅ Content export completed!'));
+    } catch (error) {
+      console.error(chalk.red('❌ Content export failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('bundle')
+  .description('Export guides as offline content packages')
+  .argument('[contentIds...]', 'Content IDs to bundle (defaults to all guides)')
+  .option('-s, --source <path>', 'Source directory path', './content')
+  .option('-o, --output <path>', 'Output directory for packages', './bundles')
+  .option('-m, --include-media', 'Include low-bitrate video renditions')
+  .option('-e, --embed', 'Store the package in the guide\'s local_data column')
+  .option('-d, --dry-run', 'Build packages without uploading or updating the database')
+  .option('-v, --verbose', 'Verbose output')
+  .action(async (contentIds, options) => {
+    try {
+      console.log(chalk.blue('📦 Starting offline bundle export...'));
+      
+      const bundler = new ContentBundler({
+        sourcePath: options.source,
+        outputPath: options.output,
+        contentIds,
+        includeMedia: options.includeMedia,
+        embed: options.embed,
+        dryRun: options.dryRun,
+        verbose: options.verbose
+      });
+      
+      await bundler.run();
+      console.log(chalk.green('✅ Offline bundle export completed!'));
+    } catch (error) {
+      console.error(chalk.red('❌ Offline bundle export failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('feed')
+  .description('Publish the signed manifest and delta feed the app syncs from')
+  .option('-o, --output <path>', 'Output directory for the feed', './feed')
+  .option('-l, --local', 'Only write the output directory, e.g. to serve it locally, without uploading')
+  .option('-v, --verbose', 'Verbose output')
+  .action(async (options) => {
+    try {
+      const publisher = new ContentFeedPublisher({
+        outputPath: options.output,
+        upload: !options.local,
+        verbose: options.verbose
+      });
+      
+      const feed = await publisher.run();
+      
+      console.log(chalk.blue('\n📡 Feed Summary:'));
+      console.log(`Sequence: ${chalk.green(feed.sequence)}${feed.changed ? '' : chalk.gray(' (unchanged)')}`);
+      console.log(`Published guides: ${chalk.green(feed.guides)}`);
+      if (feed.delta) {
+        console.log(`Changed: ${chalk.green(feed.delta.changed.length)}, removed: ${chalk.yellow(feed.delta.removed.length)}`);
+      }
+      console.log(chalk.green('✅ Content feed published!'));
+    } catch (error) {
+      console.error(chalk.red('❌ Content feed failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('history')
+  .description('List earlier versions of a guide')
+  .argument('<contentId>', 'Content ID of the guide')
+  .option('-d, --diff <version>', 'Show what changed since this version', parseInt)
+  .option('-v, --verbose', 'Show unchanged lines around the diff')
+  .action(async (contentId, options) => {
+    try {
+      const history = new ContentHistory({ verbose: options.verbose });
+      await history.show(contentId, { diff: options.diff ?? null });
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to show history:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('rollback')
+  .description('Restore an earlier version of a guide as a new version')
+  .argument('<contentId>', 'Content ID of the guide')
+  .requiredOption('-t, --to <version>', 'Version to restore', parseInt)
+  .option('-d, --dry-run', 'Show the changes without restoring')
+  .option('-v, --verbose', 'Show unchanged lines around the diff')
+  .action(async (contentId, options) => {
+    try {
+      const history = new ContentHistory({ verbose: options.verbose });
+      const result = await history.rollback(contentId, options.to, { dryRun: options.dryRun });
+      
+      if (result.dryRun) {
+        console.log(chalk.yellow(`Dry run: ${contentId} was not changed`));
+      } else {
+        console.log(chalk.green(`✅ Restored ${contentId} v${result.restored} as v${result.version}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Rollback failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Review workflow: draft → in_review → approved → published
+for (const [action, { description, recordsReview }] of Object.entries(REVIEW_ACTIONS)) {
+  const command = program
+    .command(action)
+    .description(description)
+    .argument('<contentIds...>', 'Content IDs of the guides');
+  
+  if (recordsReview) {
+    command
+      .requiredOption('-r, --reviewer <name>', 'Name of the reviewing scholar')
+      .option('-n, --notes <text>', 'Review notes');
+  }
+  
+  command.action(async (contentIds, options) => {
+    try {
+      const reviewer = new ContentReviewer({
+        reviewer: options.reviewer,
+        notes: options.notes
+      });
+      
+      await reviewer.run(action, contentIds);
+      console.log(chalk.green(`✅ ${action} completed!`));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${action} failed:`), error.message);
+      process.exit(1);
+    }
+  });
+}
+
+program
+  .command('transliterate')
+  .description('Suggest a transliteration for vocalised Arabic text')
+  .argument('<text...>', 'Arabic text')
+  .option('-s, --scheme <scheme>', `Transliteration scheme (${Object.keys(TRANSLITERATION_SCHEMES).join(' or ')})`, 'simple')
+  .action((text, options) => {
+    try {
+      console.log(transliterate(text.join(' '), options.scheme));
+    } catch (error) {
+      console.error(chalk.red('❌ Transliteration failed:'), error.message);
       process.exit(1);
     }
   });
@@ -86,10 +335,13 @@ program
 program
   .command('status')
   .description('Show content pipeline status')
-  .action(async () => {
+  .addOption(formatOption())
+  .action(async (options) => {
     try {
-      const supabase = new SupabaseManager();
-      const status = await supabase.getStatus();
+      useReportFormat(options.format);
+      const storage = createStorage();
+      const status = await storage.getStatus();
+      const downloads = await new DownloadTracker({ storage }).getStats();
       
       console.log(chalk.blue('📊 Content Pipeline Status'));
       console.log(chalk.gray('─'.repeat(40)));
@@ -99,16 +351,125 @@ program
       console.log(`Offline Available: ${chalk.green(status.offlineGuides)}`);
       console.log(`Pending Downloads: ${chalk.yellow(status.pendingDownloads)}`);
       
+      if (status.reviewStatus) {
+        console.log(chalk.blue('\n📝 Review Status:'));
+        console.log(`Draft: ${chalk.gray(status.reviewStatus.draft)}`);
+        console.log(`In Review: ${chalk.yellow(status.reviewStatus.in_review)}`);
+        console.log(`Approved: ${chalk.cyan(status.reviewStatus.approved)}`);
+        console.log(`Published: ${chalk.green(status.reviewStatus.published)}`);
+      }
+      
+      printDownloadStats(downloads);
+      
       if (status.recentUpdates.length > 0) {
         console.log(chalk.blue('\n📅 Recent Updates:'));
         status.recentUpdates.forEach(update => {
           console.log(`  ${chalk.gray(update.date)} - ${update.title}`);
         });
       }
+      
+      finishReport(createReport('status', { details: { ...status, downloads } }), options.format);
     } catch (error) {
       console.error(chalk.red('❌ Failed to get status:'), error.message);
+      failReport('status', error, options.format);
+    }
+  });
+
+program
+  .command('downloads')
+  .description('Show offline download stats, fail stale downloads and retry failed ones')
+  .option('--reap', 'Mark downloads with no recent progress as failed')
+  .option('--stale-after <minutes>', 'Minutes without progress before a download counts as stale', parseInt)
+  .option('-r, --retry [downloadIds...]', 'Retry failed downloads (defaults to every retryable download)')
+  .action(async (options) => {
+    try {
+      const tracker = new DownloadTracker({ staleMinutes: options.staleAfter });
+      
+      if (options.reap) {
+        const reaped = await tracker.reapStale();
+        console.log(`Marked ${chalk.yellow(reaped.length)} stale download(s) as failed`);
+      }
+      
+      if (options.retry) {
+        let retried;
+        if (Array.isArray(options.retry)) {
+          retried = [];
+          for (const downloadId of options.retry) {
+            retried.push(await tracker.retry(downloadId));
+          }
+        } else {
+          retried = await tracker.retryFailed();
+        }
+        console.log(`Queued ${chalk.green(retried.length)} failed download(s) for retry`);
+      }
+      
+      printDownloadStats(await tracker.getStats());
+    } catch (error) {
+      console.error(chalk.red('❌ Downloads failed:'), error.message);
       process.exit(1);
     }
   });
 
+function formatOption() {
+  return new Option('--format <format>', 'Report format; json and junit reports are written to stdout').choices(REPORT_FORMATS).default('text');
+}
+
+// JSON and JUnit reports own stdout, so progress output moves to stderr
+function useReportFormat(format) {
+  if (format !== 'text') {
+    console.log = console.error;
+  }
+}
+
+// Exit codes: 0 passed, 1 the command failed, 2 errors were found (warnings too with --strict), 3 some files failed
+function finishReport(report, format) {
+  if (format !== 'text') {
+    process.stdout.write(`${renderReport(report, format)}\n`);
+  }
+  
+  process.exitCode = getExitCode(report);
+}
+
+// A command that throws exits with the failure code whatever the format, never with the code for invalid content
+function failReport(command, error, format) {
+  if (format === 'text') {
+    process.exit(EXIT_CODES.failure);
+  }
+  
+  const report = createReport(command, { errors: [new Finding({ rule: 'command-failed', message: error.message })], failed: true });
+  process.stdout.write(`${renderReport(report, format)}\n`);
+  process.exitCode = EXIT_CODES.failure;
+}
+
+function printDownloadStats(stats) {
+  console.log(chalk.blue('\n📥 Downloads:'));
+  
+  if (stats.total === 0) {
+    console.log(chalk.gray('No downloads recorded yet'));
+    return;
+  }
+  
+  const { pending, downloading, completed, failed } = stats.byStatus;
+  console.log(`Completed: ${chalk.green(completed)}, failed: ${chalk.red(failed)}, downloading: ${chalk.yellow(downloading)}, pending: ${chalk.gray(pending)}`);
+  
+  if (stats.successRate !== null) {
+    console.log(`Success Rate: ${chalk.green(`${(stats.successRate * 100).toFixed(1)}%`)}`);
+  }
+  if (stats.averageSize !== null) {
+    console.log(`Average Size: ${chalk.green(`${(stats.averageSize / (1024 * 1024)).toFixed(1)} MB`)}`);
+  }
+  
+  const reasons = Object.entries(stats.failuresByReason);
+  if (reasons.length > 0) {
+    console.log(`Current Failures: ${reasons.map(([reason, count]) => `${reason} ${chalk.red(count)}`).join(', ')}`);
+  }
+  
+  if (stats.failuresByGuide.length > 0) {
+    console.log('Failed Attempts by Guide:');
+    stats.failuresByGuide.slice(0, 5).forEach(({ contentId, failures }) => {
+      console.log(`  ${chalk.red(failures)} - ${contentId}`);
+    });
+  }
+}
+
 program.parse();
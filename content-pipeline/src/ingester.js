@@ -1,17 +1,83 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import { marked } from 'marked';
 import yaml from 'yaml';
 import chalk from 'chalk';
 import ora from 'ora';
-import { SupabaseManager } from './supabase.js';
+import { createStorage } from './storage.js';
+import { ContentHistory } from './history.js';
+import { MediaProcessor } from './media.js';
+import { ImageProcessor } from './images.js';
+import { hashContent } from './hash.js';
+import { GUIDE_SCHEMA, SCHEMA_VERSION, validateGuideSchema } from './schema.js';
+import { SUPPORTED_LOCALES, getFileLocale, localizeSteps } from './locales.js';
+import { SECTS, SECT_MADHABS, mergeOverrideSteps } from './madhabs.js';
+import { PRAYER_NAMES, checkRakahCount } from './prayers.js';
+import { normalizeArabic } from './arabic.js';
+import { parseQuranReference } from './quran.js';
+import { extractCitations } from './sources.js';
+import { IngestManifest, hashInputs } from './manifest.js';
+import { ContentFeedPublisher } from './feed.js';
+import { CUE_EXTENSIONS, loadAudioCues, checkAudioCues } from './cues.js';
+import { Finding } from './report.js';
+import { expandTemplates } from './templates.js';
+
+export const STEP_POSTURES = ['standing', 'bowing', 'prostrating', 'sitting'];
+export const RECITATION_MODES = ['aloud', 'silent'];
+
+// Same defaults the iOS PrayerGuide model falls back to
+const DEFAULT_DIFFICULTY = 'beginner';
+const DEFAULT_DURATION = 300;
+
+const execFileAsync = promisify(execFile);
+
+// Files processed at once; each may be transcoding video or audio
+const DEFAULT_CONCURRENCY = 4;
+
+// Shared step fragments pulled in with {{> name }}; not guides themselves, so content scans skip it
+const PARTIALS_DIR = '_partials';
+
+// Frontmatter a madhab override takes from its base guide unless it sets them itself
+const INHERITED_FIELDS = ['prayerName', 'sect', 'rakahCount', 'difficulty', 'duration'];
+
+const VIDEO_CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.m3u8': 'application/vnd.apple.mpegurl'
+};
+
+// Step recitation clips, transcoded to AAC whatever the source format
+const AUDIO_EXTENSIONS = ['.m4a', '.mp3', '.wav'];
+
+// The @2x WebP variant is what the app loads by default
+const PRIMARY_IMAGE_SCALE = 2;
+
+// What processImage measures, besides the URL
+const IMAGE_STATS = ['width', 'height', 'blurhash', 'variants'];
+
+const MEDIA_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.jpg': 'image/jpeg'
+};
 
 export class ContentIngester {
   constructor(options = {}) {
     this.sourcePath = options.sourcePath || './content';
+    this.partialsPath = options.partialsPath || path.join(this.sourcePath, PARTIALS_DIR);
     this.dryRun = options.dryRun || false;
     this.verbose = options.verbose || false;
-    this.supabase = new SupabaseManager();
+    this.since = options.since || null;
+    this.force = options.force || false;
+    this.concurrency = options.concurrency || Number(process.env.INGEST_CONCURRENCY) || DEFAULT_CONCURRENCY;
+    this.storage = options.storage || createStorage();
+    this.history = new ContentHistory({ storage: this.storage });
+    this.manifest = new IngestManifest({ path: options.manifestPath });
+    this.feed = new ContentFeedPublisher({ storage: this.storage, verbose: this.verbose });
+    this.media = new MediaProcessor({ verbose: this.verbose });
+    this.images = new ImageProcessor();
   }
 
   async run() {
@@ -27,40 +93,72 @@ export class ContentIngester {
       
       if (markdownFiles.length === 0) {
         console.log(chalk.yellow('No markdown files found in source directory'));
-        return;
+        return { files: [], errors: [] };
       }
 
-      // Process each file
-      const results = [];
-      for (const filePath of markdownFiles) {
-        spinner.start(`Processing ${path.basename(filePath)}...`);
-        
+      spinner.start(this.since ? `Diffing against ${this.since}...` : 'Checking for changes...');
+      const { changed, skipped } = await this.selectChangedFiles(markdownFiles);
+      spinner.succeed(`${changed.length} of ${markdownFiles.length} files need processing`);
+
+      // Process a few files at a time; transcoding dominates, so more than a handful only contend for the CPU
+      let done = 0;
+      const errors = [];
+      spinner.start(`Processing ${changed.length} files...`);
+      
+      const processed = await mapConcurrent(changed, this.concurrency, async (file) => {
         try {
-          const result = await this.processMarkdownFile(filePath);
-          results.push(result);
-          spinner.succeed(`Processed ${result.contentId}`);
+          const guide = await this.processMarkdownFile(file.filePath);
+          spinner.succeed(`Processed ${guide.contentId}`);
+          return { ...file, guide };
         } catch (error) {
-          spinner.fail(`Failed to process ${path.basename(filePath)}: ${error.message}`);
+          spinner.fail(`Failed to process ${path.basename(file.filePath)}${error.line ? `:${error.line}` : ''}: ${error.message}`);
+          errors.push(new Finding({ rule: 'ingest-failed', message: error.message, file: error.file || file.filePath, line: error.line || null }));
           if (this.verbose) {
             console.error(error);
           }
+          return null;
+        } finally {
+          spinner.start(`Processing files (${++done}/${changed.length})...`);
         }
-      }
+      });
+      spinner.stop();
+      
+      const results = processed.filter(Boolean).map(result => result.guide);
 
-      // Upload to Supabase if not dry run
+      // Upload to storage if not dry run; guides whose content changed get a new version
+      const saved = [];
       if (!this.dryRun && results.length > 0) {
-        spinner.start('Uploading to Supabase...');
+        spinner.start(`Uploading to ${this.storage.name}...`);
         
-        for (const guide of results) {
-          await this.supabase.upsertGuide(guide);
-        }
+        saved.push(...await this.history.saveGuides(results));
         
-        spinner.succeed(`Uploaded ${results.length} guides to Supabase`);
+        spinner.succeed(`Uploaded ${results.length} guides to ${this.storage.name}`);
+        
+        // The app syncs from the feed, so it is republished whenever guides are written
+        spinner.start('Publishing content feed...');
+        const feed = await this.feed.run();
+        spinner.succeed(feed.changed ? `Published content feed #${feed.sequence}` : `Content feed #${feed.sequence} is up to date`);
+      }
+      
+      // Files that failed keep their old entry, or none, so they are retried next time
+      if (!this.dryRun) {
+        for (const { key, inputsHash, guide } of processed.filter(Boolean)) {
+          this.manifest.set(key, { inputs_hash: inputsHash, content_id: guide.content_id, content_hash: hashContent(guide) });
+        }
+        this.manifest.retain(markdownFiles.map(filePath => this.getManifestKey(filePath)));
+        await this.manifest.save();
       }
 
       // Summary
       console.log(chalk.blue('\n📊 Ingestion Summary:'));
       console.log(`Files processed: ${chalk.green(results.length)}`);
+      console.log(`Files unchanged: ${chalk.gray(skipped.length)}`);
+      if (errors.length > 0) {
+        console.log(`Files failed: ${chalk.red(errors.length)}`);
+      }
+      if (!this.dryRun) {
+        console.log(`New versions: ${chalk.green(saved.filter(result => result.status === 'updated').length)}`);
+      }
       console.log(`Dry run: ${this.dryRun ? chalk.yellow('Yes') : chalk.green('No')}`);
       
       if (this.verbose && results.length > 0) {
@@ -69,6 +167,18 @@ export class ContentIngester {
           console.log(`  ${chalk.green('✓')} ${guide.title} (${guide.contentId})`);
         });
       }
+      
+      return {
+        files: [
+          ...processed.map((result, index) => ({
+            file: changed[index].filePath,
+            content_id: result?.guide.content_id ?? null,
+            status: result ? 'processed' : 'failed'
+          })),
+          ...skipped.map(file => ({ file: file.filePath, content_id: this.manifest.get(file.key)?.content_id ?? null, status: 'unchanged' }))
+        ],
+        errors
+      };
 
     } catch (error) {
       spinner.fail('Content ingestion failed');
@@ -76,41 +186,294 @@ export class ContentIngester {
     }
   }
 
+  // With --since, a file needs processing when one of its inputs changed in the git diff. Otherwise it does when
+  // its inputs hash differently from the manifest, or its stored row was edited or rolled back since the last ingest.
+  async selectChangedFiles(markdownFiles) {
+    await this.manifest.load();
+    
+    const changedPaths = this.since ? await this.getChangedFiles(this.since) : null;
+    const storedHashes = this.since || this.force || this.dryRun
+      ? null
+      : new Map((await this.storage.getAllGuides()).map(row => [row.content_id, hashContent(row)]));
+    
+    const changed = [];
+    const skipped = [];
+    
+    for (const filePath of markdownFiles) {
+      const inputs = await this.collectInputs(filePath);
+      const file = { filePath, key: this.getManifestKey(filePath), inputsHash: await hashInputs(inputs, this.sourcePath) };
+      const entry = this.manifest.get(file.key);
+      
+      let stale;
+      if (changedPaths) {
+        // Deleted clips and videos are no longer inputs, so they are matched by their content ID's media paths
+        const { contentId } = await this.describeFile(filePath);
+        stale = [...changedPaths].some(changedPath => inputs.includes(changedPath) || this.isMediaPath(filePath, contentId, changedPath));
+      } else {
+        stale = this.force
+          || !entry
+          || entry.inputs_hash !== file.inputsHash
+          || (storedHashes !== null && storedHashes.get(entry.content_id) !== entry.content_hash);
+      }
+      
+      (stale ? changed : skipped).push(file);
+    }
+    
+    return { changed, skipped };
+  }
+
+  getManifestKey(filePath) {
+    return path.relative(this.sourcePath, filePath);
+  }
+
+  // Files changed since a git ref, including uncommitted and untracked ones, as absolute paths
+  async getChangedFiles(ref) {
+    const git = async (...args) => {
+      const { stdout } = await execFileAsync('git', args, { cwd: this.sourcePath });
+      return stdout.split('\n').filter(Boolean);
+    };
+    
+    try {
+      const files = [
+        ...await git('diff', '--name-only', '--relative', ref, '--'),
+        ...await git('ls-files', '--others', '--exclude-standard')
+      ];
+      
+      return new Set(files.map(file => path.resolve(this.sourcePath, file)));
+    } catch (error) {
+      throw new Error(`Could not diff against "${ref}": ${error.stderr?.trim() || error.message}`);
+    }
+  }
+
+  // Every file that goes into the guide built from filePath: the markdown, its translations and madhab base,
+  // the partials it includes, the video and step clips found by content ID, and local images and clips the markdown
+  // links to. A base guide's partials are resolved with its override's frontmatter, passed as template.
+  async collectInputs(filePath, template = null) {
+    const { frontmatter, markdown } = this.parseFrontmatter(await fs.readFile(filePath, 'utf-8'));
+    const inputs = [filePath];
+    
+    // Files without a content ID fail when they are processed
+    if (!frontmatter.contentId) {
+      return inputs;
+    }
+    
+    for (const translation of await this.getTranslationFiles(frontmatter.contentId)) {
+      inputs.push(translation.filePath);
+    }
+    
+    let context = template || frontmatter;
+    const basePath = frontmatter.base ? await this.getGuideFile(frontmatter.base) : null;
+    if (basePath) {
+      const base = this.parseFrontmatter(await fs.readFile(basePath, 'utf-8'));
+      context = { ...frontmatter };
+      for (const field of INHERITED_FIELDS) {
+        context[field] ??= base.frontmatter[field];
+      }
+      
+      inputs.push(...await this.collectInputs(basePath, context));
+    }
+    
+    // Includes that fail to resolve are reported when the file is processed
+    const { partials } = await this.expandMarkdown(markdown, context).catch(() => ({ partials: [] }));
+    inputs.push(...partials);
+    
+    const dir = path.dirname(filePath);
+    const entries = await fs.readdir(dir, { recursive: true });
+    inputs.push(...entries
+      .map(entry => path.join(dir, entry))
+      .filter(entryPath => this.isMediaPath(filePath, frontmatter.contentId, entryPath)));
+    
+    const references = [
+      frontmatter.thumbnailUrl,
+      ...[...markdown.matchAll(/!\[[^\]]*\]\(<?([^)>]+?)>?\)/g)].map(match => match[1]),
+      ...[...markdown.matchAll(/\baudio:\s*["']?([^"',{}\s]+)/g)].map(match => match[1])
+    ];
+    inputs.push(...references
+      .filter(reference => this.isLocalReference(reference))
+      .map(reference => this.resolveLocalReference(filePath, reference)));
+    
+    return [...new Set(inputs)];
+  }
+
+  // <contentId>.mp4 and the like, and anything under <contentId>/ such as step clips, next to the markdown
+  isMediaPath(markdownPath, contentId, candidatePath) {
+    const relative = path.relative(path.dirname(markdownPath), candidatePath);
+    
+    return Boolean(contentId) && (relative.startsWith(`${contentId}${path.sep}`)
+      || (relative.startsWith(`${contentId}.`) && path.extname(relative) !== '.md'));
+  }
+
+  // Translations are folded into their base guide, so only guides and madhab overrides are returned
   async findMarkdownFiles(dir) {
-    const files = [];
+    const { guides } = await this.scanContentDirectory(dir);
+    return guides.map(guide => guide.filePath);
+  }
+
+  async scanContentDirectory(dir) {
+    const guides = [];
+    const translations = [];
     
-    async function scanDirectory(currentDir) {
+    const scanDirectory = async (currentDir) => {
       const entries = await fs.readdir(currentDir, { withFileTypes: true });
       
       for (const entry of entries) {
         const fullPath = path.join(currentDir, entry.name);
         
         if (entry.isDirectory()) {
-          await scanDirectory(fullPath);
+          if (path.resolve(fullPath) !== path.resolve(this.partialsPath)) {
+            await scanDirectory(fullPath);
+          }
         } else if (entry.isFile() && entry.name.endsWith('.md')) {
-          files.push(fullPath);
+          const file = await this.describeFile(fullPath);
+          if (file.locale) {
+            translations.push(file);
+          } else {
+            guides.push(file);
+          }
         }
       }
-    }
+    };
     
     await scanDirectory(dir);
-    return files;
+    return { guides, translations };
+  }
+
+  async describeFile(filePath) {
+    let frontmatter = {};
+    
+    try {
+      ({ frontmatter } = this.parseFrontmatter(await fs.readFile(filePath, 'utf-8')));
+    } catch {
+      // Unparseable files are reported when they are processed as guides
+    }
+    
+    return { filePath, locale: getFileLocale(filePath, frontmatter || {}), contentId: frontmatter?.contentId };
+  }
+
+  // Scanned once, so translations and madhab overrides can find the files they refer to
+  getContentIndex() {
+    if (!this.contentIndex) {
+      this.contentIndex = fs.access(this.sourcePath)
+        .then(() => this.scanContentDirectory(this.sourcePath), () => ({ guides: [], translations: [] }));
+    }
+    
+    return this.contentIndex;
   }
 
-  async processMarkdownFile(filePath) {
+  async getTranslationFiles(contentId) {
+    const { translations } = await this.getContentIndex();
+    return translations.filter(translation => translation.contentId === contentId);
+  }
+
+  async getGuideFile(contentId) {
+    const { guides } = await this.getContentIndex();
+    return guides.find(guide => guide.contentId === contentId)?.filePath || null;
+  }
+
+  async processMarkdownFile(filePath, { sourceMap = null } = {}) {
     const content = await fs.readFile(filePath, 'utf-8');
     
     // Parse frontmatter and content
-    const { frontmatter, markdown } = this.parseFrontmatter(content);
+    const { frontmatter, markdown, bodyLine } = this.parseFrontmatter(content);
+    
+    if (frontmatter.base) {
+      return this.processOverrideFile(filePath, frontmatter, markdown, { sourceMap, bodyLine });
+    }
     
     // Validate required frontmatter fields
     this.validateFrontmatter(frontmatter, filePath);
     
     // Convert markdown to structured content
-    const structuredContent = await this.markdownToStructuredContent(markdown);
+    const structuredContent = await this.markdownToStructuredContent(markdown, { sourceMap, startLine: bodyLine, template: frontmatter });
+    await this.locateStepAudio(structuredContent.steps, filePath, frontmatter.contentId);
+    const description = frontmatter.description ?? this.extractDescription(markdown);
     
-    // Look for associated video file
-    const videoUrl = await this.findAssociatedVideo(filePath, frontmatter.contentId);
+    return this.buildGuide(filePath, frontmatter, structuredContent, description, { sourceMap, bodyLine });
+  }
+
+  // A madhab override only holds the steps that differ from its base guide; it is merged into a full guide here
+  async processOverrideFile(filePath, overrideFrontmatter, markdown, { sourceMap, bodyLine }) {
+    const { base: baseId, ...fields } = overrideFrontmatter;
+    const basePath = await this.getGuideFile(baseId);
+    
+    if (!basePath) {
+      throw Object.assign(new Error(`Base guide "${baseId}" not found for ${filePath}`), { field: 'base' });
+    }
+    
+    const base = this.parseFrontmatter(await fs.readFile(basePath, 'utf-8'));
+    
+    if (base.frontmatter.base) {
+      throw Object.assign(new Error(`Base guide "${baseId}" of ${filePath} is itself an override`), { field: 'base' });
+    }
+    
+    const frontmatter = { ...fields };
+    for (const field of INHERITED_FIELDS) {
+      frontmatter[field] ??= base.frontmatter[field];
+    }
+    
+    this.validateFrontmatter(frontmatter, filePath);
+    
+    if (!frontmatter.madhab) {
+      throw Object.assign(new Error(`Missing madhab for override of ${baseId} in ${filePath}`), { field: 'madhab' });
+    }
+    
+    if (frontmatter.sect !== base.frontmatter.sect) {
+      throw Object.assign(new Error(`Override sect "${frontmatter.sect}" differs from base guide ${baseId} in ${filePath}`), { field: 'sect' });
+    }
+    
+    // The base guide's includes resolve against the override's madhab, so madhab partials apply to its steps too
+    let baseContent;
+    try {
+      baseContent = await this.markdownToStructuredContent(base.markdown, { startLine: base.bodyLine, template: frontmatter });
+    } catch (error) {
+      throw Object.assign(error, { file: error.file || basePath });
+    }
+    // Local images in the base guide are relative to its own file
+    this.resolveStepImages(baseContent.steps, basePath);
+    await this.locateStepAudio(baseContent.steps, basePath, baseId);
+    
+    // Step lines are needed for merge errors even when the caller doesn't want a source map
+    const lines = sourceMap || new Map();
+    const overrideContent = await this.markdownToStructuredContent(markdown, { sourceMap: lines, startLine: bodyLine, overrides: true, template: frontmatter });
+    await this.locateStepAudio(overrideContent.steps, filePath, fields.contentId);
+    
+    let steps;
+    try {
+      steps = mergeOverrideSteps(baseContent.steps, overrideContent.steps);
+    } catch (error) {
+      throw Object.assign(error, { line: lines.get(error.step) });
+    }
+    
+    const structuredContent = {
+      steps,
+      rakah_instructions: overrideContent.rakah_instructions.length > 0
+        ? overrideContent.rakah_instructions
+        : baseContent.rakah_instructions
+    };
+    
+    const description = fields.description
+      ?? (this.extractDescription(markdown) || (base.frontmatter.description ?? this.extractDescription(base.markdown)));
+    
+    return this.buildGuide(filePath, frontmatter, structuredContent, description, { sourceMap, bodyLine });
+  }
+
+  async buildGuide(filePath, frontmatter, structuredContent, description, { sourceMap = null, bodyLine = 1 } = {}) {
+    // Look for associated video file, transcoding and uploading it if present
+    const localVideo = await this.findAssociatedVideo(filePath, frontmatter.contentId);
+    
+    // Guides exported from the database reference their already-uploaded video instead
+    const video = localVideo || (frontmatter.videoUrl
+      ? { url: frontmatter.videoUrl, posterUrl: null, duration: frontmatter.media?.video?.duration ?? null, size: frontmatter.media?.video?.size ?? null }
+      : null);
+    
+    // Optimise and upload local images referenced by the frontmatter and steps; an uploaded thumbnail keeps its exported stats
+    const thumbnail = this.isLocalReference(frontmatter.thumbnailUrl)
+      ? await this.processImage(this.resolveLocalReference(filePath, frontmatter.thumbnailUrl), frontmatter.contentId, 'thumbnail')
+      : frontmatter.media?.thumbnail ?? null;
+    await this.processStepImages(structuredContent.steps, filePath, frontmatter.contentId);
+    await this.processStepAudio(structuredContent.steps, frontmatter.contentId);
+    
+    const translations = await this.processTranslations(frontmatter.contentId, structuredContent, description);
     
     // Create guide object
     const guide = {
@@ -119,18 +482,89 @@ export class ContentIngester {
       title: frontmatter.title,
       prayer_name: frontmatter.prayerName,
       sect: frontmatter.sect,
+      madhab: frontmatter.madhab || null,
       rakah_count: frontmatter.rakahCount,
-      content_type: videoUrl ? 'mixed' : 'text',
+      difficulty: frontmatter.difficulty || DEFAULT_DIFFICULTY,
+      duration: frontmatter.duration || DEFAULT_DURATION,
+      description,
+      content_type: video ? 'mixed' : 'text',
       text_content: structuredContent,
-      video_url: videoUrl,
-      thumbnail_url: frontmatter.thumbnailUrl || null,
+      video_url: video?.url || null,
+      thumbnail_url: thumbnail?.url || video?.posterUrl || frontmatter.thumbnailUrl || null,
+      thumbnail_width: thumbnail?.width ?? null,
+      thumbnail_height: thumbnail?.height ?? null,
+      thumbnail_blurhash: thumbnail?.blurhash ?? null,
+      thumbnail_variants: thumbnail?.variants ?? null,
+      video_duration: video?.duration ?? null,
+      video_size: video?.size ?? null,
       version: frontmatter.version || 1,
+      translations,
       updated_at: new Date().toISOString()
     };
+    
+    guide.content_hash = hashContent(guide);
+    
+    const schemaErrors = validateGuideSchema(guide);
+    if (schemaErrors.length > 0) {
+      throw new Error(`${filePath} does not match guide schema v${SCHEMA_VERSION}: ${schemaErrors.join('; ')}`);
+    }
+    
+    sourceMap?.set(guide, 1);
+    sourceMap?.set(structuredContent, bodyLine);
 
     return guide;
   }
 
+  async processTranslations(contentId, structuredContent, description) {
+    const translations = {};
+    
+    for (const { filePath, locale } of await this.getTranslationFiles(contentId)) {
+      if (translations[locale]) {
+        throw Object.assign(new Error(`Duplicate ${locale} translation of ${contentId} in ${filePath}`), { file: filePath });
+      }
+      
+      translations[locale] = await this.processTranslationFile(filePath, locale, structuredContent, description);
+    }
+    
+    return translations;
+  }
+
+  async processTranslationFile(filePath, locale, baseContent, baseDescription) {
+    const { frontmatter, markdown } = this.parseFrontmatter(await fs.readFile(filePath, 'utf-8'));
+    const fail = (message) => Object.assign(new Error(`${message} in ${filePath}`), { file: filePath });
+    
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      throw fail(`Unsupported locale "${locale}". Must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+    
+    if (!frontmatter.title) {
+      throw fail('Missing translated title');
+    }
+    
+    // The base version the translation was made from, so stale translations can be flagged
+    if (!Number.isInteger(frontmatter.sourceVersion) || frontmatter.sourceVersion < 1) {
+      throw fail(`Invalid sourceVersion "${frontmatter.sourceVersion}"`);
+    }
+    
+    // Urdu and Arabic UI text shares the Arabic script, so paragraphs aren't treated as recitations here
+    const translated = await this.markdownToStructuredContent(markdown, { detectArabic: false });
+    
+    if (translated.steps.length > baseContent.steps.length) {
+      throw fail(`Translation has ${translated.steps.length} steps but the base guide has ${baseContent.steps.length}`);
+    }
+    
+    const untranslated = [];
+    const steps = localizeSteps(baseContent.steps, translated.steps, untranslated);
+    
+    return {
+      title: frontmatter.title,
+      description: frontmatter.description ?? (this.extractDescription(markdown) || baseDescription),
+      source_version: frontmatter.sourceVersion,
+      steps,
+      untranslated_steps: untranslated
+    };
+  }
+
   parseFrontmatter(content) {
     const frontmatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
     const match = content.match(frontmatterRegex);
@@ -142,44 +576,90 @@ export class ContentIngester {
     const frontmatter = yaml.parse(match[1]);
     const markdown = match[2];
     
-    return { frontmatter, markdown };
+    // Opening and closing delimiters plus the frontmatter lines themselves
+    const bodyLine = match[1].split('\n').length + 3;
+    
+    return { frontmatter, markdown, bodyLine };
   }
 
+  // Errors carry the offending frontmatter field so callers can point at its line
   validateFrontmatter(frontmatter, filePath) {
     const required = ['contentId', 'title', 'prayerName', 'sect', 'rakahCount'];
-    const missing = required.filter(field => !frontmatter[field]);
+    // Janazah guides have a rakahCount of 0
+    const missing = required.filter(field => !frontmatter[field] && frontmatter[field] !== 0);
     
     if (missing.length > 0) {
-      throw new Error(`Missing required frontmatter fields in ${filePath}: ${missing.join(', ')}`);
+      throw Object.assign(new Error(`Missing required frontmatter fields in ${filePath}: ${missing.join(', ')}`), { field: missing[0] });
     }
     
     // Validate sect
-    if (!['sunni', 'shia'].includes(frontmatter.sect)) {
-      throw new Error(`Invalid sect "${frontmatter.sect}" in ${filePath}. Must be "sunni" or "shia"`);
+    if (!SECTS.includes(frontmatter.sect)) {
+      throw Object.assign(new Error(`Invalid sect "${frontmatter.sect}" in ${filePath}. Must be "sunni" or "shia"`), { field: 'sect' });
     }
     
-    // Validate prayer name
-    const validPrayers = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
-    if (!validPrayers.includes(frontmatter.prayerName)) {
-      throw new Error(`Invalid prayer name "${frontmatter.prayerName}" in ${filePath}`);
+    // Guides without a madhab apply to every madhab of their sect
+    const madhabs = SECT_MADHABS[frontmatter.sect];
+    if (frontmatter.madhab !== undefined && !madhabs.includes(frontmatter.madhab)) {
+      throw Object.assign(new Error(`Invalid madhab "${frontmatter.madhab}" for ${frontmatter.sect} in ${filePath}. Must be one of: ${madhabs.join(', ')}`), { field: 'madhab' });
+    }
+    
+    // Validate prayer name against the prayer catalogue
+    if (!PRAYER_NAMES.includes(frontmatter.prayerName)) {
+      throw Object.assign(new Error(`Invalid prayer name "${frontmatter.prayerName}" in ${filePath}. Must be one of: ${PRAYER_NAMES.join(', ')}`), { field: 'prayerName' });
     }
     
     // Validate rakah count
-    if (!Number.isInteger(frontmatter.rakahCount) || frontmatter.rakahCount < 1) {
-      throw new Error(`Invalid rakah count "${frontmatter.rakahCount}" in ${filePath}`);
+    if (!Number.isInteger(frontmatter.rakahCount) || frontmatter.rakahCount < 0) {
+      throw Object.assign(new Error(`Invalid rakah count "${frontmatter.rakahCount}" in ${filePath}`), { field: 'rakahCount' });
+    }
+    
+    const rakahError = checkRakahCount(frontmatter.prayerName, frontmatter.rakahCount);
+    if (rakahError) {
+      throw Object.assign(new Error(`Invalid rakah count in ${filePath}: ${rakahError}`), { field: 'rakahCount' });
+    }
+    
+    // Optional fields read by the app
+    const difficulties = GUIDE_SCHEMA.properties.difficulty.enum;
+    if (frontmatter.difficulty !== undefined && !difficulties.includes(frontmatter.difficulty)) {
+      throw Object.assign(new Error(`Invalid difficulty "${frontmatter.difficulty}" in ${filePath}. Must be one of: ${difficulties.join(', ')}`), { field: 'difficulty' });
+    }
+    
+    if (frontmatter.duration !== undefined && (!Number.isInteger(frontmatter.duration) || frontmatter.duration < 1)) {
+      throw Object.assign(new Error(`Invalid duration "${frontmatter.duration}" in ${filePath}. Must be a whole number of seconds`), { field: 'duration' });
+    }
+    
+    if (frontmatter.media !== undefined && (!isPlainObject(frontmatter.media) || !Object.values(frontmatter.media).every(isPlainObject))) {
+      throw Object.assign(new Error(`Invalid media in ${filePath}. Must map thumbnail and video to their stats`), { field: 'media' });
     }
   }
 
-  async markdownToStructuredContent(markdown) {
+  // With template, the frontmatter of the guide, includes and rakah blocks are expanded first
+  async markdownToStructuredContent(markdown, { sourceMap = null, startLine = 1, detectArabic = true, overrides = false, template = null } = {}) {
+    let expanded = null;
+    if (template) {
+      try {
+        expanded = await this.expandMarkdown(markdown, template);
+      } catch (error) {
+        throw Object.assign(error, { line: startLine + error.line - 1 });
+      }
+    }
+    
     // Parse markdown to tokens
-    const tokens = marked.lexer(markdown);
+    const tokens = marked.lexer(expanded ? expanded.markdown : markdown);
     
     const steps = [];
     const rakahInstructions = [];
     let currentStep = null;
+    let currentSubStep = null;
     let stepCounter = 1;
+    let offset = 0;
     
     for (const token of tokens) {
+      // Top-level token sources concatenate back to the markdown, so they give us line numbers;
+      // expanded lines map back to the guide's own lines, with included steps pointing at their include
+      const tokenLine = startLine + (expanded ? expanded.lines[offset] : offset);
+      offset += (token.raw.match(/\n/g) || []).length;
+      
       if (token.type === 'heading' && token.depth === 2) {
         // Save previous step if exists
         if (currentStep) {
@@ -187,24 +667,44 @@ export class ContentIngester {
         }
         
         // Start new step
-        currentStep = {
-          step: stepCounter++,
-          title: token.text,
-          description: '',
-          arabic: '',
-          transliteration: ''
-        };
+        currentStep = this.createStep(stepCounter++, token.text);
+        currentSubStep = null;
+        sourceMap?.set(currentStep, tokenLine);
+      } else if (token.type === 'heading' && token.depth === 3 && currentStep) {
+        // Nested sub-step within the current step
+        currentSubStep = this.createStep(currentStep.sub_steps.length + 1, token.text);
+        currentStep.sub_steps.push(currentSubStep);
+        sourceMap?.set(currentSubStep, tokenLine);
+      } else if (token.type === 'html' && currentStep) {
+        // Per-step metadata, e.g. <!-- step: { posture: bowing, recitation: silent, repeat: 3 } -->
+        let metadata;
+        try {
+          metadata = this.parseStepMetadata(token.text, { overrides });
+          
+          if (currentSubStep && metadata && ('after' in metadata || 'remove' in metadata)) {
+            throw new Error('Only top-level steps can be placed with "after" or "remove"');
+          }
+        } catch (error) {
+          throw Object.assign(error, { line: tokenLine });
+        }
+        
+        if (metadata) {
+          const step = currentSubStep || currentStep;
+          // Image stats from an export join the alt text of the image paragraph
+          if (metadata.image) {
+            metadata.image = { ...step.image, ...metadata.image };
+          }
+          Object.assign(step, metadata);
+        }
       } else if (token.type === 'paragraph' && currentStep) {
-        // Add to current step description
-        if (!currentStep.description) {
-          currentStep.description = token.text;
+        // A paragraph holding only an image becomes the step illustration
+        const inlineTokens = (token.tokens || []).filter(inline => inline.type !== 'text' || inline.text.trim());
+        if (inlineTokens.length === 1 && inlineTokens[0].type === 'image') {
+          const step = currentSubStep || currentStep;
+          step.image_url = inlineTokens[0].href;
+          step.image = { ...step.image, alt: inlineTokens[0].text };
         } else {
-          // Check if this is Arabic text (contains Arabic characters)
-          if (/[\u0600-\u06FF]/.test(token.text)) {
-            currentStep.arabic = token.text;
-          } else if (token.text.includes('transliteration:') || token.text.includes('Transliteration:')) {
-            currentStep.transliteration = token.text.replace(/^.*?transliteration:\s*/i, '');
-          }
+          this.addParagraphToStep(currentSubStep || currentStep, token.text, { detectArabic });
         }
       } else if (token.type === 'list' && token.ordered === false) {
         // This might be rakah instructions
@@ -227,18 +727,200 @@ export class ContentIngester {
     };
   }
 
-  async findAssociatedVideo(markdownPath, contentId) {
+  expandMarkdown(markdown, frontmatter) {
+    return expandTemplates(markdown, {
+      partialsPath: this.partialsPath,
+      sect: frontmatter.sect,
+      madhab: frontmatter.madhab,
+      rakahCount: frontmatter.rakahCount
+    });
+  }
+
+  // Without a description in the frontmatter, the paragraphs between the title and the first step are used
+  extractDescription(markdown) {
+    const paragraphs = [];
+    
+    for (const token of marked.lexer(markdown)) {
+      if (token.type === 'heading' && token.depth === 2) {
+        break;
+      }
+      if (token.type === 'paragraph') {
+        paragraphs.push(token.text);
+      }
+    }
+    
+    return paragraphs.join('\n\n');
+  }
+
+  createStep(number, title) {
+    return {
+      step: number,
+      title,
+      description: '',
+      arabic: '',
+      transliteration: '',
+      translation: '',
+      recitations: [],
+      sub_steps: [],
+      image_url: null,
+      image: null,
+      audio_url: null,
+      audio: null,
+      posture: null,
+      recitation_mode: null,
+      repeat_count: 1,
+      sources: []
+    };
+  }
+
+  addParagraphToStep(step, paragraph, { detectArabic = true } = {}) {
+    // Citations such as [^bukhari:757] can follow any sentence; they are collected on the step and left out of its text
+    const { text, sources } = extractCitations(paragraph);
+    for (const source of sources) {
+      if (!step.sources.some(existing => existing.collection === source.collection && existing.reference === source.reference)) {
+        step.sources.push(source);
+      }
+    }
+    
+    if (!text) {
+      return;
+    }
+    
+    const labelMatch = text.match(/^(transliteration|translation):\s*/i);
+    const isArabic = detectArabic && !labelMatch && /[\u0600-\u06FF]/.test(text);
+    
+    // The first plain paragraph is the step description
+    if (!labelMatch && !isArabic) {
+      if (!step.description) {
+        step.description = text;
+      }
+      return;
+    }
+    
+    const field = isArabic ? 'arabic' : labelMatch[1].toLowerCase();
+    const value = isArabic ? normalizeArabic(text) : text.slice(labelMatch[0].length);
+    
+    // Arabic always opens a new recitation; a repeated label does too
+    let recitation = step.recitations[step.recitations.length - 1];
+    if (!recitation || isArabic || recitation[field]) {
+      recitation = { arabic: '', transliteration: '', translation: '' };
+      step.recitations.push(recitation);
+    }
+    recitation[field] = value;
+    
+    // Keep the flat fields pointing at the first recitation for existing consumers
+    if (!step[field]) {
+      step[field] = value;
+    }
+  }
+
+  parseStepMetadata(html, { overrides = false } = {}) {
+    const match = html.match(/^<!--\s*step:\s*([\s\S]*?)\s*-->/);
+    if (!match) {
+      return null;
+    }
+    
+    let metadata;
+    try {
+      metadata = yaml.parse(match[1]);
+    } catch (error) {
+      throw new Error(`Invalid step metadata "${match[1]}": ${error.message}`);
+    }
+    
+    if (!metadata || typeof metadata !== 'object') {
+      throw new Error(`Invalid step metadata "${match[1]}": expected key/value pairs`);
+    }
+    
+    const result = {};
+    
+    if (metadata.posture !== undefined) {
+      if (!STEP_POSTURES.includes(metadata.posture)) {
+        throw new Error(`Invalid posture "${metadata.posture}". Must be one of: ${STEP_POSTURES.join(', ')}`);
+      }
+      result.posture = metadata.posture;
+    }
+    
+    if (metadata.recitation !== undefined) {
+      if (!RECITATION_MODES.includes(metadata.recitation)) {
+        throw new Error(`Invalid recitation "${metadata.recitation}". Must be "aloud" or "silent"`);
+      }
+      result.recitation_mode = metadata.recitation;
+    }
+    
+    if (metadata.repeat !== undefined) {
+      if (!Number.isInteger(metadata.repeat) || metadata.repeat < 1) {
+        throw new Error(`Invalid repeat count "${metadata.repeat}"`);
+      }
+      result.repeat_count = metadata.repeat;
+    }
+    
+    // The step's recitations quote these ayat, e.g. quran: 1:1-7, and are checked against the bundled Quran text
+    if (metadata.quran !== undefined) {
+      if (!parseQuranReference(metadata.quran)) {
+        throw new Error(`Invalid quran reference "${metadata.quran}". Must be surah:ayah or surah:ayah-ayah`);
+      }
+      result.quran_reference = String(metadata.quran);
+    }
+    
+    // An uploaded clip's URL, or a clip path relative to the markdown file
+    if (metadata.audio !== undefined) {
+      if (typeof metadata.audio !== 'string' || !metadata.audio.trim()) {
+        throw new Error(`Invalid audio "${metadata.audio}". Must be a URL or a path to an audio file`);
+      }
+      result.audio_url = metadata.audio;
+    }
+    
+    // Stats of already-processed media, written by the exporter because they can't be measured from a URL
+    if (metadata.media !== undefined) {
+      const { image, audio } = metadata.media ?? {};
+      if (!isPlainObject(metadata.media) || (image !== undefined && !isPlainObject(image)) || (audio !== undefined && !isPlainObject(audio))) {
+        throw new Error(`Invalid media "${JSON.stringify(metadata.media)}". Must be { image: {...}, audio: {...} }`);
+      }
+      
+      // The schema has no nulls for image stats, so stats that weren't exported are left out
+      if (image) {
+        result.image = Object.fromEntries(IMAGE_STATS.filter(stat => image[stat] != null).map(stat => [stat, image[stat]]));
+      }
+      if (audio) {
+        result.audio = { duration: audio.duration ?? null, size: audio.size ?? null, cues: audio.cues ?? null };
+      }
+    }
+    
+    // Placement within the base guide, removed again when an override is merged
+    if (metadata.after !== undefined || metadata.remove !== undefined) {
+      if (!overrides) {
+        throw new Error('"after" and "remove" are only allowed in madhab override files');
+      }
+      
+      if (metadata.after !== undefined && (typeof metadata.after !== 'string' || !metadata.after.trim())) {
+        throw new Error(`Invalid after "${metadata.after}". Must be the title of a base guide step`);
+      }
+      
+      if (metadata.remove !== undefined && typeof metadata.remove !== 'boolean') {
+        throw new Error(`Invalid remove "${metadata.remove}". Must be true or false`);
+      }
+      
+      if (metadata.after !== undefined) {
+        result.after = metadata.after;
+      }
+      
+      if (metadata.remove !== undefined) {
+        result.remove = metadata.remove;
+      }
+    }
+    
+    return result;
+  }
+
+  async locateVideo(markdownPath, contentId) {
     const dir = path.dirname(markdownPath);
-    const videoExtensions = ['.mp4', '.mov', '.m3u8'];
     
-    for (const ext of videoExtensions) {
+    for (const [ext, contentType] of Object.entries(VIDEO_CONTENT_TYPES)) {
       const videoPath = path.join(dir, `${contentId}${ext}`);
       
       try {
-        await fs.access(videoPath);
-        // For now, return a placeholder URL
-        // In production, this would upload to storage and return the URL
-        return `https://storage.supabase.co/v1/object/public/prayer-guides/${contentId}${ext}`;
+        const stats = await fs.stat(videoPath);
+        return { path: videoPath, ext, contentType, size: stats.size };
       } catch {
         // File doesn't exist, continue
       }
@@ -246,4 +928,255 @@ export class ContentIngester {
     
     return null;
   }
+
+  async findAssociatedVideo(markdownPath, contentId) {
+    const video = await this.locateVideo(markdownPath, contentId);
+    const maxSizeMb = Number(process.env.MAX_VIDEO_SIZE_MB) || 100;
+    
+    if (!video) {
+      return null;
+    }
+    
+    if (video.size > maxSizeMb * 1024 * 1024) {
+      throw new Error(`Video ${path.basename(video.path)} exceeds the ${maxSizeMb}MB limit`);
+    }
+    
+    // Pre-built playlists are uploaded as-is
+    if (video.ext === '.m3u8') {
+      const storagePath = `${contentId}${video.ext}`;
+      const url = this.dryRun
+        ? this.storage.getPublicMediaUrl(storagePath)
+        : (await this.uploadFile(video.path, storagePath, video.contentType)).url;
+      
+      return { url, posterUrl: null, duration: null, size: video.size };
+    }
+    
+    return this.processVideo(video.path, contentId);
+  }
+
+  async processVideo(videoPath, contentId) {
+    const storageDir = `${contentId}/video`;
+    
+    // Transcoding is skipped on dry runs; report where the renditions would live
+    if (this.dryRun) {
+      return {
+        url: this.storage.getPublicMediaUrl(`${storageDir}/master.m3u8`),
+        posterUrl: this.storage.getPublicMediaUrl(`${storageDir}/poster.jpg`),
+        duration: null,
+        size: null
+      };
+    }
+    
+    const result = await this.media.processVideo(videoPath, contentId);
+    
+    if (this.verbose) {
+      console.log(chalk.gray(`  Transcoded ${path.basename(videoPath)} into ${result.renditions.join(', ')}`));
+    }
+    
+    // Upload segments and rendition playlists before the master playlist that references them
+    const files = [
+      ...result.files.filter(file => file !== result.masterPlaylist),
+      result.masterPlaylist
+    ];
+    
+    const urls = {};
+    for (const file of files) {
+      const upload = await this.uploadFile(
+        path.join(result.outputDir, file),
+        `${storageDir}/${file}`,
+        MEDIA_CONTENT_TYPES[path.extname(file)]
+      );
+      urls[file] = upload.url;
+    }
+    
+    return {
+      url: urls[result.masterPlaylist],
+      posterUrl: urls[result.poster],
+      duration: result.duration,
+      size: result.size
+    };
+  }
+
+  async processStepImages(steps, markdownPath, contentId) {
+    for (const step of steps) {
+      if (this.isLocalReference(step.image_url)) {
+        const imagePath = this.resolveLocalReference(markdownPath, step.image_url);
+        const name = path.basename(imagePath, path.extname(imagePath))
+          .replace(/@\dx$/, '')
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, '-');
+        const { url, ...image } = await this.processImage(imagePath, contentId, name);
+        
+        step.image_url = url;
+        step.image = { ...step.image, ...image };
+      }
+      
+      await this.processStepImages(step.sub_steps || [], markdownPath, contentId);
+    }
+  }
+
+  async processImage(imagePath, contentId, name) {
+    try {
+      await fs.access(imagePath);
+    } catch {
+      throw new Error(`Referenced image not found: ${imagePath}`);
+    }
+    
+    const result = await this.images.processImage(imagePath, contentId, name);
+    
+    const variants = [];
+    for (const variant of result.variants) {
+      const storagePath = `${contentId}/images/${variant.file}`;
+      const url = this.dryRun
+        ? this.storage.getPublicMediaUrl(storagePath)
+        : (await this.uploadFile(path.join(result.outputDir, variant.file), storagePath, `image/${variant.format}`)).url;
+      
+      variants.push({ scale: variant.scale, format: variant.format, width: variant.width, height: variant.height, url });
+    }
+    
+    const primary = variants.find(variant => variant.scale === PRIMARY_IMAGE_SCALE && variant.format === 'webp');
+    
+    return {
+      url: primary.url,
+      width: result.width,
+      height: result.height,
+      blurhash: result.blurhash,
+      variants
+    };
+  }
+
+  // A step's clip is <contentId>/<step>.m4a next to the markdown file (3.1.m4a for sub-steps), unless its
+  // metadata names one. This runs before overrides are merged, while steps have their numbers from the file they
+  // were written in, and leaves the absolute path of each local clip in audio_url for processStepAudio.
+  async locateStepAudio(steps, markdownPath, contentId, parentNumber = null) {
+    for (const step of steps) {
+      const number = parentNumber ? `${parentNumber}.${step.step}` : String(step.step);
+      
+      if (this.isLocalReference(step.audio_url)) {
+        step.audio_url = this.resolveLocalReference(markdownPath, step.audio_url);
+      } else if (!step.audio_url) {
+        step.audio_url = await this.findFile(path.join(path.dirname(markdownPath), contentId, number), AUDIO_EXTENSIONS);
+      }
+      
+      // Optional word timings share the clip's name, e.g. 3.vtt or 3.json
+      if (this.isLocalReference(step.audio_url)) {
+        const cuePath = await this.findFile(step.audio_url.slice(0, -path.extname(step.audio_url).length), CUE_EXTENSIONS);
+        const cues = cuePath ? await loadAudioCues(cuePath) : null;
+        const problem = cues && checkAudioCues(cues);
+        
+        if (problem) {
+          throw Object.assign(new Error(`Invalid audio cues: ${problem}`), { file: cuePath });
+        }
+        
+        step.audio = { duration: null, size: null, cues };
+      }
+      
+      await this.locateStepAudio(step.sub_steps || [], markdownPath, contentId, number);
+    }
+  }
+
+  async findFile(basePath, extensions) {
+    for (const ext of extensions) {
+      try {
+        await fs.access(`${basePath}${ext}`);
+        return `${basePath}${ext}`;
+      } catch {
+        // File doesn't exist, continue
+      }
+    }
+    
+    return null;
+  }
+
+  async processStepAudio(steps, contentId, parentNumber = null) {
+    for (const step of steps) {
+      const number = parentNumber ? `${parentNumber}.${step.step}` : String(step.step);
+      
+      if (this.isLocalReference(step.audio_url)) {
+        const { url, duration, size } = await this.processAudio(step.audio_url, contentId, number);
+        const cues = step.audio?.cues ?? null;
+        
+        // Only the transcoded clip's duration tells whether the cues run past its end
+        const problem = cues && checkAudioCues(cues, duration);
+        if (problem) {
+          throw new Error(`Audio cues for ${step.audio_url} don't fit the clip: ${problem}`);
+        }
+        
+        step.audio_url = url;
+        step.audio = { duration, size, cues };
+      }
+      
+      await this.processStepAudio(step.sub_steps || [], contentId, number);
+    }
+  }
+
+  async processAudio(audioPath, contentId, name) {
+    try {
+      await fs.access(audioPath);
+    } catch {
+      throw new Error(`Referenced audio not found: ${audioPath}`);
+    }
+    
+    const storagePath = `${contentId}/audio/${name}.m4a`;
+    
+    // Transcoding is skipped on dry runs, so the duration is only known once the clip is ingested
+    if (this.dryRun) {
+      return { url: this.storage.getPublicMediaUrl(storagePath), duration: null, size: null };
+    }
+    
+    const result = await this.media.processAudio(audioPath, contentId, name);
+    const upload = await this.uploadFile(path.join(result.outputDir, result.file), storagePath, 'audio/mp4');
+    
+    return { url: upload.url, duration: result.duration, size: result.size };
+  }
+
+  resolveStepImages(steps, markdownPath) {
+    for (const step of steps) {
+      if (this.isLocalReference(step.image_url)) {
+        step.image_url = this.resolveLocalReference(markdownPath, step.image_url);
+      }
+      
+      this.resolveStepImages(step.sub_steps || [], markdownPath);
+    }
+  }
+
+  isLocalReference(reference) {
+    return typeof reference === 'string' && reference.length > 0 && !/^[a-z][a-z0-9+.-]*:/i.test(reference);
+  }
+
+  resolveLocalReference(markdownPath, reference) {
+    return path.resolve(path.dirname(markdownPath), reference);
+  }
+
+  async uploadFile(filePath, storagePath, contentType) {
+    const upload = await this.storage.uploadMedia(filePath, storagePath, { contentType });
+    
+    if (this.verbose) {
+      console.log(chalk.gray(`  ${upload.skipped ? 'Unchanged' : 'Uploaded'} ${storagePath} (${upload.size} bytes)`));
+    }
+    
+    return upload;
+  }
+}
+
+// Runs fn over items with at most limit in flight, keeping results in item order
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+
+  return results;
+}
+
+// YAML maps, as opposed to scalars, lists and null
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
@@ -0,0 +1,42 @@
+import path from 'path';
+
+// Base guides are written in English; these are the UI languages we translate into
+export const SUPPORTED_LOCALES = ['ur', 'tr', 'id', 'fr', 'ar'];
+
+// A translation is either named like fajr-sunni.ur.md or declares `locale: ur` in its frontmatter
+export function getFileLocale(filePath, frontmatter = {}) {
+  if (frontmatter.locale && frontmatter.locale !== 'en') {
+    return frontmatter.locale;
+  }
+
+  const match = path.basename(filePath).match(/\.([a-z]{2})\.md$/);
+  return match && SUPPORTED_LOCALES.includes(match[1]) ? match[1] : null;
+}
+
+// Merges translated step text over the English steps, matching steps by position.
+// Missing steps, and steps whose text was left in English, fall back to English and are listed as untranslated.
+export function localizeSteps(baseSteps, translatedSteps, untranslated, prefix = '') {
+  return baseSteps.map((baseStep, index) => {
+    const translated = translatedSteps[index];
+    const key = `${prefix}${index + 1}`;
+
+    const title = translated?.title || baseStep.title;
+    const description = translated?.description || baseStep.description;
+
+    // Titles like "Ruku" often stay the same, so the description decides unless there is none
+    const unchanged = baseStep.description ? description === baseStep.description : title === baseStep.title;
+    if (!translated || unchanged) {
+      untranslated.push(key);
+    }
+
+    return {
+      step: baseStep.step,
+      title,
+      description,
+      recitations: (baseStep.recitations || []).map((recitation, recitationIndex) => ({
+        translation: translated?.recitations?.[recitationIndex]?.translation || recitation.translation
+      })),
+      sub_steps: localizeSteps(baseStep.sub_steps || [], translated?.sub_steps || [], untranslated, `${key}.`)
+    };
+  });
+}
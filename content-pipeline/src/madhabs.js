@@ -0,0 +1,53 @@
+export const SECTS = ['sunni', 'shia'];
+
+// Schools of jurisprudence within each sect, matching the iOS Madhab enum
+export const SECT_MADHABS = {
+  sunni: ['hanafi', 'shafi'],
+  shia: ['jafari']
+};
+
+export const MADHABS = Object.values(SECT_MADHABS).flat();
+
+// prayer_sect_guide for guides shared by a whole sect, prayer_sect_madhab_guide for madhab-specific ones
+export function getContentId(prayerName, sect, madhab = null) {
+  return madhab ? `${prayerName}_${sect}_${madhab}_guide` : `${prayerName}_${sect}_guide`;
+}
+
+// Merges a madhab override's steps into a copy of its base guide's steps.
+// An override step replaces the base step with the same title; a new step goes after the step named by
+// its `after` metadata, or at the end, and `remove` drops the base step. Errors carry the offending step.
+export function mergeOverrideSteps(baseSteps, overrideSteps) {
+  const steps = structuredClone(baseSteps);
+  const findStep = (title) => steps.findIndex(step => step.title.trim().toLowerCase() === title.trim().toLowerCase());
+
+  for (const override of overrideSteps) {
+    const { after, remove } = override;
+    delete override.after;
+    delete override.remove;
+
+    const index = findStep(override.title);
+
+    if (remove) {
+      if (index === -1) {
+        throw Object.assign(new Error(`Cannot remove step "${override.title}": the base guide has no such step`), { step: override });
+      }
+      steps.splice(index, 1);
+    } else if (index !== -1) {
+      steps[index] = override;
+    } else if (after) {
+      const afterIndex = findStep(after);
+      if (afterIndex === -1) {
+        throw Object.assign(new Error(`Cannot add step "${override.title}" after "${after}": the base guide has no such step`), { step: override });
+      }
+      steps.splice(afterIndex + 1, 0, override);
+    } else {
+      steps.push(override);
+    }
+  }
+
+  steps.forEach((step, index) => {
+    step.step = index + 1;
+  });
+
+  return steps;
+}
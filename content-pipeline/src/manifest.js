@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { hashFile } from './hash.js';
+
+// The pipeline's own code and schema decide how inputs become rows, so changing them invalidates every entry
+const PIPELINE_DIRS = ['../src', '../schema'].map(dir => fileURLToPath(new URL(dir, import.meta.url)));
+
+let pipelineHash = null;
+
+// Remembers the inputs each markdown file was last ingested from, so unchanged guides can be skipped
+export class IngestManifest {
+  constructor(options = {}) {
+    this.path = options.path
+      || process.env.INGEST_MANIFEST_PATH
+      || path.join(process.env.MEDIA_CACHE_PATH || './.media-cache', 'ingest-manifest.json');
+    this.entries = null;
+  }
+
+  async load() {
+    try {
+      this.entries = JSON.parse(await fs.readFile(this.path, 'utf-8')).files || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ingest manifest ${this.path}: ${error.message}`);
+      }
+      this.entries = {};
+    }
+
+    return this;
+  }
+
+  get(key) {
+    return this.entries[key] || null;
+  }
+
+  set(key, entry) {
+    this.entries[key] = entry;
+  }
+
+  // Drops files that no longer exist
+  retain(keys) {
+    const kept = new Set(keys);
+
+    for (const key of Object.keys(this.entries)) {
+      if (!kept.has(key)) {
+        delete this.entries[key];
+      }
+    }
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.writeFile(`${this.path}.tmp`, JSON.stringify({ files: this.entries }, null, 2));
+    await fs.rename(`${this.path}.tmp`, this.path);
+  }
+}
+
+// One hash over a guide's input files, keyed by their paths relative to rootDir; missing files hash as "missing"
+export async function hashInputs(filePaths, rootDir) {
+  const hash = createHash('sha256').update(await hashPipeline());
+
+  for (const filePath of [...new Set(filePaths)].sort()) {
+    const fileHash = await hashFile(filePath).catch(() => 'missing');
+    hash.update(`${path.relative(rootDir, filePath)}\0${fileHash}\n`);
+  }
+
+  return hash.digest('hex');
+}
+
+async function hashPipeline() {
+  if (!pipelineHash) {
+    pipelineHash = (async () => {
+      const hash = createHash('sha256');
+
+      for (const dir of PIPELINE_DIRS) {
+        const files = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+        const paths = files.filter(file => file.isFile()).map(file => path.join(file.parentPath ?? file.path, file.name)).sort();
+
+        for (const filePath of paths) {
+          hash.update(`${path.relative(dir, filePath)}\0${await hashFile(filePath)}\n`);
+        }
+      }
+
+      return hash.digest('hex');
+    })();
+  }
+
+  return pipelineHash;
+}
@@ -0,0 +1,231 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import chalk from 'chalk';
+import { hashFile } from './hash.js';
+
+// Adaptive bitrate ladder, lowest first so mobile-data clients can start small
+export const HLS_RENDITIONS = [
+  { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 }
+];
+
+const HLS_SEGMENT_SECONDS = 6;
+
+// Recitations are speech, so mono AAC is plenty; -16 LUFS keeps clips from different reciters at the same volume
+const AUDIO_BITRATE = 64;
+const AUDIO_LOUDNESS = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+export class MediaProcessor {
+  constructor(options = {}) {
+    this.cachePath = options.cachePath || process.env.MEDIA_CACHE_PATH || './.media-cache';
+    this.verbose = options.verbose || false;
+    this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || ffmpegStatic;
+  }
+
+  async processVideo(sourcePath, contentId) {
+    const outputDir = path.join(this.cachePath, contentId, 'video');
+    const sourceHash = await hashFile(sourcePath);
+
+    // Reuse the previous transcode when the source video hasn't changed
+    const cached = await this.readCachedResult(outputDir, sourceHash);
+    if (cached) {
+      return cached;
+    }
+
+    await fs.rm(outputDir, { recursive: true, force: true });
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const posterPath = path.join(outputDir, 'poster.jpg');
+    const source = await this.extractPoster(sourcePath, posterPath);
+
+    // Never upscale; always keep at least the lowest rendition
+    const renditions = HLS_RENDITIONS.filter((rendition, index) =>
+      index === 0 || !source.height || rendition.height <= source.height
+    );
+
+    for (const rendition of renditions) {
+      await this.transcodeRendition(sourcePath, outputDir, rendition);
+    }
+
+    const masterPath = path.join(outputDir, 'master.m3u8');
+    await fs.writeFile(masterPath, this.buildMasterPlaylist(renditions, source));
+
+    const files = await fs.readdir(outputDir);
+    let size = 0;
+    for (const file of files) {
+      size += (await fs.stat(path.join(outputDir, file))).size;
+    }
+
+    const result = {
+      sourceHash,
+      outputDir,
+      masterPlaylist: 'master.m3u8',
+      poster: 'poster.jpg',
+      files: files.sort(),
+      renditions: renditions.map(rendition => rendition.name),
+      duration: source.duration,
+      size
+    };
+
+    await fs.writeFile(path.join(outputDir, 'result.json'), JSON.stringify(result, null, 2));
+
+    return result;
+  }
+
+  getAudioDir(contentId) {
+    return path.join(this.cachePath, contentId, 'audio');
+  }
+
+  async processAudio(sourcePath, contentId, name) {
+    const outputDir = this.getAudioDir(contentId);
+    const sourceHash = await hashFile(sourcePath);
+
+    const cached = await this.readCachedResult(outputDir, sourceHash, `${name}.json`);
+    if (cached) {
+      return cached;
+    }
+
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const file = `${name}.m4a`;
+    let duration = null;
+
+    const command = this.createCommand(sourcePath)
+      .noVideo()
+      .audioCodec('aac')
+      .outputOptions(['-af', AUDIO_LOUDNESS, '-b:a', `${AUDIO_BITRATE}k`, '-ac', '1', '-movflags', '+faststart'])
+      .output(path.join(outputDir, file))
+      .on('codecData', (data) => {
+        duration = this.parseTimemark(data.duration);
+      });
+
+    await this.runCommand(command);
+
+    const result = {
+      sourceHash,
+      outputDir,
+      file,
+      duration,
+      size: (await fs.stat(path.join(outputDir, file))).size
+    };
+
+    await fs.writeFile(path.join(outputDir, `${name}.json`), JSON.stringify(result, null, 2));
+
+    return result;
+  }
+
+  async readCachedResult(outputDir, sourceHash, resultFile = 'result.json') {
+    try {
+      const result = JSON.parse(await fs.readFile(path.join(outputDir, resultFile), 'utf-8'));
+      return result.sourceHash === sourceHash ? result : null;
+    } catch {
+      return null;
+    }
+  }
+
+  extractPoster(sourcePath, posterPath) {
+    const source = { duration: null, width: null, height: null };
+
+    // The thumbnail filter picks a representative frame instead of a black first frame
+    const command = this.createCommand(sourcePath)
+      .outputOptions(['-vf', 'thumbnail', '-frames:v', '1', '-q:v', '2'])
+      .output(posterPath)
+      .on('codecData', (data) => {
+        source.duration = this.parseTimemark(data.duration);
+
+        const resolution = (data.video_details || [])
+          .map(detail => detail.match(/^(\d+)x(\d+)/))
+          .find(Boolean);
+
+        if (resolution) {
+          source.width = Number(resolution[1]);
+          source.height = Number(resolution[2]);
+        }
+      });
+
+    return this.runCommand(command).then(() => source);
+  }
+
+  transcodeRendition(sourcePath, outputDir, rendition) {
+    const command = this.createCommand(sourcePath)
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions([
+        '-vf', `scale=-2:${rendition.height}`,
+        '-preset', 'veryfast',
+        '-profile:v', 'main',
+        '-b:v', `${rendition.videoBitrate}k`,
+        '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        '-bufsize', `${rendition.videoBitrate * 1.5}k`,
+        '-b:a', `${rendition.audioBitrate}k`,
+        '-ac', '2',
+        // Keyframes on segment boundaries so renditions can switch cleanly
+        '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        '-hls_time', String(HLS_SEGMENT_SECONDS),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(outputDir, `${rendition.name}_%03d.ts`)
+      ])
+      .output(path.join(outputDir, `${rendition.name}.m3u8`));
+
+    return this.runCommand(command);
+  }
+
+  buildMasterPlaylist(renditions, source) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+    for (const rendition of renditions) {
+      const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+      let streamInfo = `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth}`;
+
+      if (source.width && source.height) {
+        // Matches the even width produced by scale=-2
+        const width = Math.round((source.width * rendition.height) / source.height / 2) * 2;
+        streamInfo += `,RESOLUTION=${width}x${rendition.height}`;
+      }
+
+      lines.push(streamInfo, `${rendition.name}.m3u8`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  createCommand(sourcePath) {
+    const command = ffmpeg(sourcePath);
+
+    if (this.ffmpegPath) {
+      command.setFfmpegPath(this.ffmpegPath);
+    }
+
+    return command;
+  }
+
+  runCommand(command) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('start', (commandLine) => {
+          if (this.verbose) {
+            console.log(chalk.gray(`  ${commandLine}`));
+          }
+        })
+        .on('end', resolve)
+        .on('error', (error) => reject(new Error(`ffmpeg failed: ${error.message}`)))
+        .run();
+    });
+  }
+
+  parseTimemark(timemark) {
+    if (!timemark || timemark === 'N/A') {
+      return null;
+    }
+
+    const seconds = timemark
+      .split(':')
+      .reduce((total, part) => total * 60 + Number(part), 0);
+
+    return Number.isFinite(seconds) ? seconds : null;
+  }
+}
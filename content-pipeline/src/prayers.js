@@ -0,0 +1,38 @@
+// Every prayer a guide can cover, with its category (fard, sunnah_muakkadah, nafl or occasional)
+// and the rakah counts it may have.
+// Shortened (qasr) prayers while travelling have 2 rakah instead of 4.
+// Janazah is prayed standing with four takbirs, so it has no rakah and no bowing or prostration.
+export const PRAYER_CATALOGUE = {
+  fajr: { category: 'fard', rakahCounts: [2], daily: true },
+  dhuhr: { category: 'fard', rakahCounts: [4, 2], daily: true },
+  asr: { category: 'fard', rakahCounts: [4, 2], daily: true },
+  maghrib: { category: 'fard', rakahCounts: [3], daily: true },
+  isha: { category: 'fard', rakahCounts: [4, 2], daily: true },
+  jumuah: { category: 'fard', rakahCounts: [2] },
+  sunnah: { category: 'sunnah_muakkadah', rakahCounts: [2, 4] },
+  witr: { category: 'sunnah_muakkadah', rakahCounts: [1, 3] },
+  taraweeh: { category: 'sunnah_muakkadah', rakahCounts: [8, 20] },
+  tahajjud: { category: 'nafl', rakahCounts: [2, 4, 6, 8, 10, 12] },
+  eid: { category: 'occasional', rakahCounts: [2] },
+  janazah: { category: 'occasional', rakahCounts: [0], postures: ['standing'] }
+};
+
+export const PRAYER_NAMES = Object.keys(PRAYER_CATALOGUE);
+
+// Validation expects a guide for each daily prayer in every sect; the others are optional
+export const REQUIRED_PRAYERS = PRAYER_NAMES.filter(name => PRAYER_CATALOGUE[name].daily);
+
+export function getPrayer(prayerName) {
+  return Object.hasOwn(PRAYER_CATALOGUE, prayerName) ? PRAYER_CATALOGUE[prayerName] : null;
+}
+
+// Returns a readable reason when the guide breaks its prayer's rules, or null
+export function checkRakahCount(prayerName, rakahCount) {
+  const prayer = getPrayer(prayerName);
+
+  if (!prayer || prayer.rakahCounts.includes(rakahCount)) {
+    return null;
+  }
+
+  return `${prayerName} has ${prayer.rakahCounts.join(' or ')} rakah, not ${rakahCount}`;
+}
@@ -0,0 +1,87 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { normalizeArabic } from './arabic.js';
+
+// Tanzil-format text (surah|ayah|text); only the surahs guides quote are bundled
+const BUNDLED_QURAN_PATH = fileURLToPath(new URL('../data/quran-simple.txt', import.meta.url));
+
+const REFERENCE_PATTERN = /^(\d{1,3}):(\d{1,3})(?:-(\d{1,3}))?$/;
+
+// Ayat in each surah, so references can be checked without the full text
+export const SURAH_AYAH_COUNTS = [
+  7, 286, 200, 176, 120, 165, 206, 75, 129, 109, 123, 111, 43, 52, 99, 128, 111, 110, 98, 135,
+  112, 78, 118, 64, 77, 227, 93, 88, 69, 60, 34, 30, 73, 54, 45, 83, 182, 88, 75, 85,
+  54, 53, 89, 59, 37, 35, 38, 29, 18, 45, 60, 49, 62, 55, 78, 96, 29, 22, 24, 13,
+  14, 11, 11, 18, 12, 12, 30, 52, 52, 44, 28, 28, 20, 56, 40, 31, 50, 40, 46, 42,
+  29, 19, 36, 25, 22, 17, 19, 26, 30, 20, 15, 21, 11, 8, 8, 19, 5, 8, 8, 11,
+  11, 8, 3, 9, 5, 4, 7, 3, 6, 3, 5, 4, 5, 6
+];
+
+const texts = new Map();
+
+export function loadQuranText(filePath = process.env.QURAN_TEXT_PATH || BUNDLED_QURAN_PATH) {
+  if (!texts.has(filePath)) {
+    const ayat = new Map();
+
+    for (const line of readFileSync(filePath, 'utf-8').split('\n')) {
+      if (!line.trim() || line.startsWith('#')) {
+        continue;
+      }
+
+      const [surah, ayah, text] = line.split('|');
+      ayat.set(`${Number(surah)}:${Number(ayah)}`, normalizeArabic(text.trim()));
+    }
+
+    texts.set(filePath, ayat);
+  }
+
+  return texts.get(filePath);
+}
+
+// "1:1" or a range within one surah such as "1:1-7"; the ayat must exist in that surah
+export function parseQuranReference(reference) {
+  const match = String(reference).match(REFERENCE_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const surah = Number(match[1]);
+  const from = Number(match[2]);
+  const to = match[3] ? Number(match[3]) : from;
+
+  return surah >= 1 && surah <= 114 && from >= 1 && to >= from && to <= SURAH_AYAH_COUNTS[surah - 1] ? { surah, from, to } : null;
+}
+
+// Returns why the passage differs from the referenced ayat, or null when it matches exactly.
+// Only NFC, tatweel and whitespace differences are ignored; every letter and haraka has to match.
+export function verifyQuranPassage(reference, passage) {
+  const parsed = parseQuranReference(reference);
+
+  if (!parsed) {
+    return `Invalid Quran reference "${reference}"`;
+  }
+
+  const ayat = loadQuranText();
+  const expected = [];
+
+  for (let ayah = parsed.from; ayah <= parsed.to; ayah++) {
+    const text = ayat.get(`${parsed.surah}:${ayah}`);
+    if (!text) {
+      return `Quran ${parsed.surah}:${ayah} is not in the bundled Quran text, so ${reference} cannot be verified`;
+    }
+    expected.push(...text.split(/\s+/));
+  }
+
+  const actual = normalizeArabic(passage).split(/\s+/).filter(Boolean);
+
+  for (let index = 0; index < Math.max(expected.length, actual.length); index++) {
+    if (expected[index] !== actual[index]) {
+      const found = actual[index] ? `"${actual[index]}"` : 'the end of the passage';
+      const wanted = expected[index] ? `"${expected[index]}"` : 'the end of the passage';
+      return `Quran ${reference} does not match at word ${index + 1}: found ${found}, expected ${wanted}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,168 @@
+export const REPORT_FORMATS = ['text', 'json', 'junit'];
+
+// CI tells these apart: 2 means the content needs fixing, 3 that some files didn't make it and the run should be retried
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  invalid: 2,
+  partial: 3
+};
+
+// One problem found by a command; prints as `file:line [content_id] message` like the text output always has.
+// Commands collect findings as errors or warnings, and the report sets each one's severity from that.
+export class Finding {
+  constructor({ rule, message, severity = null, file = null, line = null, contentId = null }) {
+    this.rule = rule;
+    this.message = message;
+    this.severity = severity;
+    this.file = file;
+    this.line = line;
+    this.contentId = contentId;
+  }
+
+  toString() {
+    const location = this.file ? `${this.file}:${this.line ?? 1}` : null;
+    const prefix = [location, this.contentId && `[${this.contentId}]`].filter(Boolean).join(' ');
+
+    return prefix ? `${prefix} ${this.message}` : this.message;
+  }
+
+  toJSON() {
+    return {
+      severity: this.severity,
+      rule: this.rule,
+      message: this.message,
+      file: this.file,
+      line: this.line,
+      content_id: this.contentId
+    };
+  }
+}
+
+// files are { file, content_id, status } with status "failed" for files that could not be processed.
+// With strict, warnings count as errors; failed marks a command that stopped before finishing.
+export function createReport(command, { files = [], errors = [], warnings = [], strict = false, failed = false, details = null } = {}) {
+  const findings = [
+    ...errors.map(finding => withSeverity(finding, 'error')),
+    ...warnings.map(finding => withSeverity(finding, strict ? 'error' : 'warning'))
+  ];
+  const summary = {
+    files: files.length,
+    failed_files: files.filter(file => file.status === 'failed').length,
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length
+  };
+
+  let status = 'passed';
+  if (failed) {
+    status = 'failed';
+  } else if (summary.failed_files > 0) {
+    status = 'partial';
+  } else if (summary.errors > 0) {
+    status = 'invalid';
+  }
+
+  return {
+    command,
+    status,
+    strict,
+    generated_at: new Date().toISOString(),
+    summary,
+    files,
+    findings,
+    ...(details ? { details } : {})
+  };
+}
+
+export function getExitCode(report) {
+  return {
+    passed: EXIT_CODES.success,
+    failed: EXIT_CODES.failure,
+    invalid: EXIT_CODES.invalid,
+    partial: EXIT_CODES.partial
+  }[report.status];
+}
+
+export function renderReport(report, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(report, null, 2);
+    case 'junit':
+      return renderJUnit(report);
+    default:
+      throw new Error(`Unknown report format "${format}". Must be one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+}
+
+// One test case per file or guide, failing on its errors; warnings go to the case's output so CI shows them without failing.
+// Findings about the content as a whole, such as missing prayers, share a case named after the command.
+function renderJUnit(report) {
+  const cases = new Map();
+  const caseFor = (file, contentId) => {
+    const name = file && contentId ? `${file} (${contentId})` : file || contentId || report.command;
+
+    if (!cases.has(name)) {
+      cases.set(name, { name, failures: [], output: [] });
+    }
+    return cases.get(name);
+  };
+
+  report.files.forEach(file => caseFor(file.file, file.content_id));
+
+  for (const finding of report.findings) {
+    const testCase = caseFor(finding.file, finding.contentId);
+    (finding.severity === 'error' ? testCase.failures : testCase.output).push(finding);
+  }
+
+  if (cases.size === 0) {
+    caseFor(null, null);
+  }
+
+  const failures = [...cases.values()].filter(testCase => testCase.failures.length > 0).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="deenbuddy-content" tests="${cases.size}" failures="${failures}">`,
+    `  <testsuite name="${report.command}" tests="${cases.size}" failures="${failures}" timestamp="${report.generated_at}">`
+  ];
+
+  if (report.details) {
+    lines.push('    <properties>');
+    for (const [name, value] of Object.entries(report.details)) {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      lines.push(`      <property name="${escapeXml(name)}" value="${escapeXml(text)}"/>`);
+    }
+    lines.push('    </properties>');
+  }
+
+  for (const testCase of cases.values()) {
+    lines.push(`    <testcase classname="${report.command}" name="${escapeXml(testCase.name)}">`);
+
+    for (const finding of testCase.failures) {
+      lines.push(`      <failure type="${escapeXml(finding.rule)}" message="${escapeXml(finding.message)}">${escapeXml(String(finding))}</failure>`);
+    }
+
+    if (testCase.output.length > 0) {
+      lines.push(`      <system-out>${escapeXml(testCase.output.map(finding => `warning ${finding.rule}: ${finding}`).join('\n'))}</system-out>`);
+    }
+
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n');
+}
+
+function withSeverity(finding, severity) {
+  const source = finding instanceof Finding ? finding : new Finding({ rule: 'unknown', message: String(finding) });
+  return new Finding({ ...source, severity });
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, character => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '"': '&quot;',
+    '\'': '&apos;'
+  })[character]);
+}
@@ -0,0 +1,98 @@
+import chalk from 'chalk';
+import { createStorage } from './storage.js';
+import { ContentFeedPublisher } from './feed.js';
+
+export const GUIDE_STATUSES = ['draft', 'in_review', 'approved', 'published'];
+
+// Written whenever a guide's content changes, so every change goes back through review
+export const DRAFT_REVIEW_FIELDS = {
+  status: 'draft',
+  reviewer_name: null,
+  reviewed_at: null,
+  review_notes: null,
+  published_at: null
+};
+
+// Each action moves guides from one of the listed states to the next
+export const REVIEW_ACTIONS = {
+  submit: { from: ['draft'], to: 'in_review', description: 'Submit draft guides for scholarly review' },
+  approve: { from: ['in_review'], to: 'approved', recordsReview: true, description: 'Sign off guides under review' },
+  reject: { from: ['in_review', 'approved'], to: 'draft', recordsReview: true, description: 'Send guides back to draft with review notes' },
+  publish: { from: ['approved'], to: 'published', description: 'Make approved guides visible in the app' },
+  unpublish: { from: ['published'], to: 'approved', description: 'Hide published guides from the app' }
+};
+
+export class ContentReviewer {
+  constructor(options = {}) {
+    this.reviewer = options.reviewer || null;
+    this.notes = options.notes || null;
+    this.verbose = options.verbose || false;
+    this.storage = options.storage || createStorage();
+    this.feed = options.feed || new ContentFeedPublisher({ storage: this.storage, verbose: this.verbose });
+  }
+
+  async run(action, contentIds) {
+    const transition = REVIEW_ACTIONS[action];
+
+    if (!transition) {
+      throw new Error(`Unknown review action "${action}". Must be one of: ${Object.keys(REVIEW_ACTIONS).join(', ')}`);
+    }
+
+    // Sign-off has to name a person so the app can show who reviewed the guide
+    if (transition.recordsReview && !this.reviewer) {
+      throw new Error(`${action} requires a reviewer name`);
+    }
+
+    const guides = [];
+    for (const contentId of contentIds) {
+      const guide = await this.storage.getGuideByContentId(contentId);
+
+      if (!guide) {
+        throw new Error(`Guide ${contentId} not found in database`);
+      }
+
+      const status = guide.status || 'draft';
+      if (!transition.from.includes(status)) {
+        throw new Error(`Cannot ${action} ${contentId}: it is ${status}, expected ${transition.from.join(' or ')}`);
+      }
+
+      guides.push(guide);
+    }
+
+    const results = [];
+    for (const guide of guides) {
+      const update = this.createUpdate(transition);
+      await this.storage.updateGuide(guide.content_id, update);
+
+      results.push({ contentId: guide.content_id, from: guide.status || 'draft', to: update.status });
+      console.log(`  ${chalk.green('✓')} ${guide.content_id} ${chalk.gray(`${guide.status || 'draft'} → ${update.status}`)}`);
+    }
+
+    // Only published guides are in the app's feed
+    if (transition.to === 'published' || transition.from.includes('published')) {
+      const feed = await this.feed.run();
+      console.log(chalk.gray(`  Content feed is at #${feed.sequence}`));
+    }
+
+    return results;
+  }
+
+  createUpdate(transition) {
+    const now = new Date().toISOString();
+    const update = { status: transition.to };
+
+    if (transition.recordsReview) {
+      update.reviewer_name = this.reviewer;
+      update.reviewed_at = now;
+      update.review_notes = this.notes;
+    }
+
+    if (transition.to === 'published') {
+      update.published_at = now;
+    } else if (transition.to === 'draft') {
+      update.published_at = null;
+    }
+
+    return update;
+  }
+}
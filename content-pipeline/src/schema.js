@@ -0,0 +1,29 @@
+import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+
+// The schema is shared with the iOS app; bump the version and file name together
+export const SCHEMA_VERSION = 2;
+
+const schemaUrl = new URL(`../schema/prayer-guide.v${SCHEMA_VERSION}.schema.json`, import.meta.url);
+export const GUIDE_SCHEMA = JSON.parse(readFileSync(schemaUrl, 'utf-8'));
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(GUIDE_SCHEMA);
+
+// Returns readable messages such as "text_content/steps/2/posture must be equal to one of the allowed values"
+export function validateGuideSchema(guide) {
+  // contentId is only carried for logging and never stored
+  const { contentId, ...row } = guide;
+
+  if (validate(row)) {
+    return [];
+  }
+
+  return validate.errors.map(error => {
+    const location = error.instancePath.slice(1) || 'guide';
+    const detail = error.keyword === 'additionalProperties'
+      ? `has unknown property "${error.params.additionalProperty}"`
+      : error.message;
+    return `${location} ${detail}`;
+  });
+}
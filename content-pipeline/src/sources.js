@@ -0,0 +1,94 @@
+import { parseQuranReference } from './quran.js';
+
+// Every collection a guide can cite, keyed by the name used in citations such as [^bukhari:757].
+// The Sunni hadith collections are numbered as on sunnah.com. The Shia collections are cited by
+// volume and then page or hadith number, as in [^kafi:3:311:8], and only the volume is checked.
+export const SOURCE_COLLECTIONS = {
+  quran: { title: 'The Quran', type: 'quran' },
+  bukhari: { title: 'Sahih al-Bukhari', type: 'hadith', numbers: 7563 },
+  muslim: { title: 'Sahih Muslim', type: 'hadith', numbers: 3033 },
+  abudawud: { title: 'Sunan Abi Dawud', type: 'hadith', numbers: 5274 },
+  tirmidhi: { title: 'Jami\' at-Tirmidhi', type: 'hadith', numbers: 3956 },
+  nasai: { title: 'Sunan an-Nasa\'i', type: 'hadith', numbers: 5761 },
+  ibnmajah: { title: 'Sunan Ibn Majah', type: 'hadith', numbers: 4341 },
+  kafi: { title: 'al-Kafi', type: 'hadith', volumes: 8 },
+  faqih: { title: 'Man La Yahduruhu al-Faqih', type: 'hadith', volumes: 4 },
+  tahdhib: { title: 'Tahdhib al-Ahkam', type: 'hadith', volumes: 10 },
+  istibsar: { title: 'al-Istibsar', type: 'hadith', volumes: 4 },
+  wasail: { title: 'Wasa\'il al-Shi\'a', type: 'hadith', volumes: 30 }
+};
+
+const CITATION_PATTERN = /\s*\[\^([^\]]*)\]/g;
+
+// Muslim and others number some narrations 804a, 804b
+const HADITH_NUMBER_PATTERN = /^(\d+)[a-z]?$/;
+const VOLUME_PATTERN = /^(\d+)(?::\d+){1,2}$/;
+
+// Removes the citations from a paragraph of step text; the sources are kept even when they are malformed,
+// so validation can point them out
+export function extractCitations(text) {
+  const sources = [];
+  const stripped = text.replace(CITATION_PATTERN, (_, citation) => {
+    sources.push(parseCitation(citation));
+    return '';
+  });
+
+  return { text: stripped.trim(), sources };
+}
+
+export function parseCitation(citation) {
+  const separator = citation.indexOf(':');
+  const collection = (separator === -1 ? citation : citation.slice(0, separator)).trim();
+  const reference = separator === -1 ? '' : citation.slice(separator + 1).trim();
+
+  return { collection, reference, title: getCollection(collection)?.title ?? null };
+}
+
+export function formatCitation(source) {
+  return source.reference ? `[^${source.collection}:${source.reference}]` : `[^${source.collection}]`;
+}
+
+export function getCollection(collection) {
+  return Object.hasOwn(SOURCE_COLLECTIONS, collection) ? SOURCE_COLLECTIONS[collection] : null;
+}
+
+// Returns why a source is malformed or not in the catalogue, or null
+export function checkSource(source) {
+  const citation = formatCitation(source);
+
+  if (!source.collection || !source.reference) {
+    return `${citation} is malformed: expected collection:reference, such as [^bukhari:757]`;
+  }
+
+  const collection = getCollection(source.collection);
+  if (!collection) {
+    return `${citation} names unknown collection "${source.collection}". Must be one of: ${Object.keys(SOURCE_COLLECTIONS).join(', ')}`;
+  }
+
+  if (collection.type === 'quran') {
+    return parseQuranReference(source.reference) ? null : `${citation} is not an ayah or range of ayat in the Quran`;
+  }
+
+  if (collection.volumes) {
+    const match = source.reference.match(VOLUME_PATTERN);
+    if (!match) {
+      return `${citation} is malformed: ${collection.title} is cited as volume:page or volume:page:hadith`;
+    }
+
+    const volume = Number(match[1]);
+    return volume >= 1 && volume <= collection.volumes ? null : `${citation} cites volume ${volume}, but ${collection.title} has ${collection.volumes} volumes`;
+  }
+
+  const match = source.reference.match(HADITH_NUMBER_PATTERN);
+  if (!match) {
+    return `${citation} is malformed: ${collection.title} is cited by hadith number`;
+  }
+
+  const number = Number(match[1]);
+  return number >= 1 && number <= collection.numbers ? null : `${citation} is outside ${collection.title}, which is numbered 1-${collection.numbers}`;
+}
+
+// Steps that say how a part of the prayer is done, such as reciting silently or repeating a tasbih, should cite their evidence
+export function givesRuling(step) {
+  return Boolean(step.recitation_mode) || step.repeat_count > 1;
+}
@@ -0,0 +1,34 @@
+import chalk from 'chalk';
+import { SupabaseManager } from './supabase.js';
+import { FileStorageManager } from './file-storage.js';
+
+// Every backend implements the same prayer_guides/prayer_guide_revisions/content_downloads operations:
+// getStatus, getAllGuides, getGuideByContentId, upsertGuide, upsertGuides, updateGuide, deleteGuide,
+// getGuideRevisions, createGuideRevision, createGuideRevisions, markGuideOffline, createDownloadRecord,
+// getDownloads, getDownload, updateDownload, getPublicMediaUrl, readMedia and uploadMedia
+export const STORAGE_BACKENDS = {
+  supabase: SupabaseManager,
+  file: FileStorageManager
+};
+
+export function createStorage(options = {}) {
+  let backend = options.backend || process.env.CONTENT_STORAGE;
+
+  if (!backend) {
+    // Contributors without Supabase credentials still get a working pipeline
+    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+      backend = 'supabase';
+    } else {
+      console.warn(chalk.yellow('⚠️  Supabase is not configured. Using local file storage.'));
+      backend = 'file';
+    }
+  }
+
+  const Backend = STORAGE_BACKENDS[backend];
+
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${backend}". Must be one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+
+  return new Backend(options);
+}
@@ -1,21 +1,43 @@
 import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
+import { hashFile } from './hash.js';
 
 dotenv.config();
 
+// Supabase Storage requires TUS chunks of exactly 6MB; files above this size go through the resumable endpoint
+const RESUMABLE_CHUNK_SIZE = 6 * 1024 * 1024;
+const MAX_CHUNK_RETRIES = 3;
+
+// Rows per request when writing many guides at once; text_content makes each row a few KB
+const UPSERT_BATCH_SIZE = 50;
+
 export class SupabaseManager {
   constructor() {
-    const supabaseUrl = process.env.SUPABASE_URL || 'https://hjgwbkcjjclwqamtmhsa.supabase.co';
+    const supabaseUrl = process.env.SUPABASE_URL;
     const supabaseKey = process.env.SUPABASE_ANON_KEY;
     const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
+    if (!supabaseUrl) {
+      throw new Error('SUPABASE_URL environment variable is required');
+    }
+
     if (!supabaseKey) {
       throw new Error('SUPABASE_ANON_KEY environment variable is required');
     }
 
+    this.name = 'Supabase';
+
+    this.supabaseUrl = supabaseUrl.replace(/\/$/, '');
+    this.storageBucket = process.env.STORAGE_BUCKET_NAME || 'prayer-guides';
+
     // Use anon key for read operations
     this.supabase = createClient(supabaseUrl, supabaseKey);
+    this.writeKey = serviceRoleKey || supabaseKey;
+
+    // RLS only shows published guides to the anon key; the pipeline needs drafts too
+    this.canReadDrafts = Boolean(serviceRoleKey);
 
     // Use service role key for write operations if available
     if (serviceRoleKey) {
@@ -28,31 +50,40 @@ export class SupabaseManager {
 
   async getStatus() {
     try {
-      // Get total guides count
+      // Totals count what app users see, i.e. published guides only
       const { count: totalGuides } = await this.supabase
         .from('prayer_guides')
-        .select('*', { count: 'exact', head: true });
+        .select('*', { count: 'exact', head: true })
+        .eq('status', 'published');
 
       // Get Sunni guides count
       const { count: sunniGuides } = await this.supabase
         .from('prayer_guides')
         .select('*', { count: 'exact', head: true })
+        .eq('status', 'published')
         .eq('sect', 'sunni');
 
       // Get Shia guides count
       const { count: shiaGuides } = await this.supabase
         .from('prayer_guides')
         .select('*', { count: 'exact', head: true })
+        .eq('status', 'published')
         .eq('sect', 'shia');
 
       // Get offline available guides count
       const { count: offlineGuides } = await this.supabase
         .from('prayer_guides')
         .select('*', { count: 'exact', head: true })
+        .eq('status', 'published')
         .eq('is_available_offline', true);
 
+      // Review pipeline counts need the service role, since RLS hides unpublished guides
+      const { data: statusRows } = await this.supabaseAdmin
+        .from('prayer_guides')
+        .select('status');
+
       // Get pending downloads count
-      const { count: pendingDownloads } = await this.supabase
+      const { count: pendingDownloads } = await this.supabaseAdmin
         .from('content_downloads')
         .select('*', { count: 'exact', head: true })
         .in('download_status', ['pending', 'downloading']);
@@ -70,6 +101,7 @@ export class SupabaseManager {
         shiaGuides: shiaGuides || 0,
         offlineGuides: offlineGuides || 0,
         pendingDownloads: pendingDownloads || 0,
+        reviewStatus: countStatuses(statusRows || []),
         recentUpdates: (recentUpdates || []).map(update => ({
           title: update.title,
           date: new Date(update.updated_at).toLocaleDateString()
@@ -82,11 +114,18 @@ export class SupabaseManager {
 
   async getAllGuides() {
     try {
-      const { data, error } = await this.supabase
+      let query = this.supabaseAdmin
         .from('prayer_guides')
         .select('*')
         .order('prayer_name', { ascending: true })
-        .order('sect', { ascending: true });
+        .order('sect', { ascending: true })
+        .order('madhab', { ascending: true, nullsFirst: true });
+
+      if (!this.canReadDrafts) {
+        query = query.eq('status', 'published');
+      }
+
+      const { data, error } = await query;
 
       if (error) throw error;
       return data || [];
@@ -97,11 +136,16 @@ export class SupabaseManager {
 
   async getGuideByContentId(contentId) {
     try {
-      const { data, error } = await this.supabase
+      let query = this.supabaseAdmin
         .from('prayer_guides')
         .select('*')
-        .eq('content_id', contentId)
-        .single();
+        .eq('content_id', contentId);
+
+      if (!this.canReadDrafts) {
+        query = query.eq('status', 'published');
+      }
+
+      const { data, error } = await query.single();
 
       if (error && error.code !== 'PGRST116') throw error;
       return data;
@@ -129,6 +173,25 @@ export class SupabaseManager {
     }
   }
 
+  async upsertGuides(guides) {
+    try {
+      const rows = guides.map(({ contentId, ...dbGuide }) => dbGuide);
+
+      for (let start = 0; start < rows.length; start += UPSERT_BATCH_SIZE) {
+        const { error } = await this.supabaseAdmin
+          .from('prayer_guides')
+          .upsert(rows.slice(start, start + UPSERT_BATCH_SIZE), {
+            onConflict: 'content_id',
+            returning: 'minimal'
+          });
+
+        if (error) throw error;
+      }
+    } catch (error) {
+      throw new Error(`Failed to upsert guides: ${error.message}`);
+    }
+  }
+
   async deleteGuide(contentId) {
     try {
       const { error } = await this.supabaseAdmin
@@ -142,9 +205,84 @@ export class SupabaseManager {
     }
   }
 
+  async updateGuide(contentId, fields) {
+    try {
+      const { error } = await this.supabaseAdmin
+        .from('prayer_guides')
+        .update(fields)
+        .eq('content_id', contentId);
+
+      if (error) throw error;
+    } catch (error) {
+      throw new Error(`Failed to update guide: ${error.message}`);
+    }
+  }
+
+  async getGuideRevisions(contentId) {
+    try {
+      const { data, error } = await this.supabaseAdmin
+        .from('prayer_guide_revisions')
+        .select('*')
+        .eq('content_id', contentId)
+        .order('version', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      throw new Error(`Failed to get guide revisions: ${error.message}`);
+    }
+  }
+
+  async createGuideRevision(revision) {
+    try {
+      const { error } = await this.supabaseAdmin
+        .from('prayer_guide_revisions')
+        .insert(revision);
+
+      if (error) throw error;
+    } catch (error) {
+      throw new Error(`Failed to create guide revision: ${error.message}`);
+    }
+  }
+
+  async createGuideRevisions(revisions) {
+    try {
+      for (let start = 0; start < revisions.length; start += UPSERT_BATCH_SIZE) {
+        const { error } = await this.supabaseAdmin
+          .from('prayer_guide_revisions')
+          .insert(revisions.slice(start, start + UPSERT_BATCH_SIZE));
+
+        if (error) throw error;
+      }
+    } catch (error) {
+      throw new Error(`Failed to create guide revisions: ${error.message}`);
+    }
+  }
+
+  async markGuideOffline(contentId, { localData = null } = {}) {
+    try {
+      const update = { is_available_offline: true };
+
+      // PostgREST expects BYTEA values as hex strings
+      if (localData) {
+        update.local_data = `\\x${localData.toString('hex')}`;
+      }
+
+      const { error } = await this.supabaseAdmin
+        .from('prayer_guides')
+        .update(update)
+        .eq('content_id', contentId);
+
+      if (error) throw error;
+    } catch (error) {
+      throw new Error(`Failed to mark guide offline: ${error.message}`);
+    }
+  }
+
+  // content_downloads only accepts writes from an authenticated role, so these go through the service role
   async createDownloadRecord(guideId, fileSize) {
     try {
-      const { data, error } = await this.supabase
+      const { data, error } = await this.supabaseAdmin
         .from('content_downloads')
         .insert({
           guide_id: guideId,
@@ -161,34 +299,216 @@ export class SupabaseManager {
     }
   }
 
-  async updateDownloadProgress(downloadId, progress, downloadedSize) {
+  async getDownloads() {
     try {
-      const { error } = await this.supabase
+      const { data, error } = await this.supabaseAdmin
         .from('content_downloads')
-        .update({
-          download_progress: progress,
-          downloaded_size: downloadedSize,
-          download_status: progress >= 100 ? 'completed' : 'downloading'
-        })
+        .select('*');
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      throw new Error(`Failed to get downloads: ${error.message}`);
+    }
+  }
+
+  async getDownload(downloadId) {
+    try {
+      const { data, error } = await this.supabaseAdmin
+        .from('content_downloads')
+        .select('*')
+        .eq('id', downloadId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to get download: ${error.message}`);
+    }
+  }
+
+  async updateDownload(downloadId, update, { expectedStatus = null, expectedUpdatedAt = null } = {}) {
+    try {
+      let query = this.supabaseAdmin
+        .from('content_downloads')
+        .update(update)
         .eq('id', downloadId);
 
+      if (expectedStatus) {
+        query = query.eq('download_status', expectedStatus);
+      }
+      if (expectedUpdatedAt) {
+        query = query.eq('updated_at', expectedUpdatedAt);
+      }
+
+      const { data, error } = await query.select('id');
+
       if (error) throw error;
+      return data.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to update download: ${error.message}`);
+    }
+  }
+
+  getPublicMediaUrl(storagePath) {
+    const { data } = this.supabase.storage
+      .from(this.storageBucket)
+      .getPublicUrl(storagePath);
+
+    return data.publicUrl;
+  }
+
+  async readMedia(storagePath) {
+    try {
+      const { data, error } = await this.supabaseAdmin.storage
+        .from(this.storageBucket)
+        .download(storagePath);
+
+      // storage-js keeps the HTTP response in originalError; Supabase answers 400 or 404 for a missing object
+      if (error) {
+        const status = error.originalError?.status;
+        if (status === 400 || status === 404) return null;
+        throw status ? new Error(`Storage responded ${status}`) : error;
+      }
+
+      return Buffer.from(await data.arrayBuffer());
+    } catch (error) {
+      throw new Error(`Failed to read ${storagePath}: ${error.message}`);
+    }
+  }
+
+  async uploadMedia(filePath, storagePath, { contentType, cacheControl } = {}) {
+    try {
+      const { size } = await fs.stat(filePath);
+      const hash = await hashFile(filePath);
+      const url = this.getPublicMediaUrl(storagePath);
+
+      // Skip the upload when the stored object already has the same content hash
+      const { data: existing } = await this.supabaseAdmin.storage
+        .from(this.storageBucket)
+        .info(storagePath);
+
+      if (existing?.metadata?.sha256 === hash) {
+        return { url, hash, size, skipped: true };
+      }
+
+      if (size > RESUMABLE_CHUNK_SIZE) {
+        await this.uploadResumable(filePath, storagePath, { size, hash, contentType });
+      } else {
+        const { error } = await this.supabaseAdmin.storage
+          .from(this.storageBucket)
+          .upload(storagePath, await fs.readFile(filePath), {
+            contentType,
+            cacheControl,
+            upsert: true,
+            metadata: { sha256: hash }
+          });
+
+        if (error) throw error;
+      }
+
+      return { url, hash, size, skipped: false };
     } catch (error) {
-      throw new Error(`Failed to update download progress: ${error.message}`);
+      throw new Error(`Failed to upload ${storagePath}: ${error.message}`);
     }
   }
 
-  async syncContent({ force = false } = {}) {
-    console.log(chalk.blue('🔄 Syncing content with Supabase...'));
-    
-    const guides = await this.getAllGuides();
-    console.log(chalk.green(`Found ${guides.length} guides in database`));
-    
-    // Here you would implement the actual sync logic
-    // For now, just return the current state
-    return {
-      synced: guides.length,
-      errors: []
+  async uploadResumable(filePath, storagePath, { size, hash, contentType }) {
+    const endpoint = `${this.supabaseUrl}/storage/v1/upload/resumable`;
+    const headers = {
+      authorization: `Bearer ${this.writeKey}`,
+      apikey: this.writeKey,
+      'tus-resumable': '1.0.0'
     };
+    const encode = (value) => Buffer.from(value).toString('base64');
+
+    const createResponse = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'x-upsert': 'true',
+        'upload-length': String(size),
+        'upload-metadata': [
+          `bucketName ${encode(this.storageBucket)}`,
+          `objectName ${encode(storagePath)}`,
+          `contentType ${encode(contentType || 'application/octet-stream')}`,
+          `metadata ${encode(JSON.stringify({ sha256: hash }))}`
+        ].join(',')
+      }
+    });
+
+    if (!createResponse.ok) {
+      throw new Error(`Resumable upload could not be created (${createResponse.status})`);
+    }
+
+    const uploadUrl = new URL(createResponse.headers.get('location'), endpoint).toString();
+    const file = await fs.open(filePath, 'r');
+
+    try {
+      let offset = 0;
+      let retries = 0;
+
+      while (offset < size) {
+        const length = Math.min(RESUMABLE_CHUNK_SIZE, size - offset);
+        const chunk = Buffer.alloc(length);
+        await file.read(chunk, 0, length, offset);
+
+        try {
+          const response = await fetch(uploadUrl, {
+            method: 'PATCH',
+            headers: {
+              ...headers,
+              'upload-offset': String(offset),
+              'content-type': 'application/offset+octet-stream'
+            },
+            body: chunk
+          });
+
+          if (!response.ok) {
+            throw new Error(`Chunk at offset ${offset} was rejected (${response.status})`);
+          }
+
+          const next = readUploadOffset(response, size);
+          if (next <= offset) {
+            throw new Error(`Chunk at offset ${offset} was accepted but the upload did not advance`);
+          }
+
+          offset = next;
+          retries = 0;
+        } catch (error) {
+          if (++retries > MAX_CHUNK_RETRIES) throw error;
+
+          // Resume from whatever the server has actually stored; retries only reset once the upload advances
+          const response = await fetch(uploadUrl, { method: 'HEAD', headers });
+          if (!response.ok) throw error;
+          offset = readUploadOffset(response, size);
+        }
+      }
+    } finally {
+      await file.close();
+    }
   }
 }
+
+// The TUS server reports how much it has stored; without a usable offset the upload can't safely resume
+function readUploadOffset(response, size) {
+  const header = response.headers.get('upload-offset');
+  const offset = Number(header);
+
+  if (header === null || header.trim() === '' || !Number.isInteger(offset) || offset < 0 || offset > size) {
+    throw new Error(`Resumable upload returned an invalid upload-offset "${header}"`);
+  }
+
+  return offset;
+}
+
+function countStatuses(rows) {
+  const counts = { draft: 0, in_review: 0, approved: 0, published: 0 };
+
+  for (const row of rows) {
+    const status = row.status || 'draft';
+    counts[status] = (counts[status] || 0) + 1;
+  }
+
+  return counts;
+}
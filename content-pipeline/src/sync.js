@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import ora from 'ora';
+import { ContentIngester } from './ingester.js';
+import { ContentHistory } from './history.js';
+import { ContentFeedPublisher } from './feed.js';
+import { hashContent } from './hash.js';
+import { Finding } from './report.js';
+
+export class ContentSyncer {
+  constructor(options = {}) {
+    this.sourcePath = options.sourcePath || './content';
+    this.force = options.force || false;
+    this.prune = options.prune || false;
+    this.dryRun = options.dryRun || false;
+    this.verbose = options.verbose || false;
+
+    // Planning never uploads media; the uploading ingester only runs for guides that change
+    this.ingester = new ContentIngester({ sourcePath: this.sourcePath, verbose: this.verbose, storage: options.storage });
+    this.storage = this.ingester.storage;
+    this.planner = new ContentIngester({ sourcePath: this.sourcePath, dryRun: true, storage: this.storage });
+    this.history = new ContentHistory({ storage: this.storage });
+    this.feed = options.feed || new ContentFeedPublisher({ storage: this.storage, verbose: this.verbose });
+  }
+
+  async run() {
+    const spinner = ora('Comparing local content with database...').start();
+
+    try {
+      await fs.access(this.sourcePath);
+
+      const local = await this.loadLocalGuides();
+      const remote = await this.storage.getAllGuides();
+      const plan = this.createPlan(local, remote);
+
+      spinner.succeed(`Compared ${local.length} local files with ${remote.length} database guides`);
+      this.printPlan(plan);
+
+      if (this.dryRun) {
+        return plan;
+      }
+
+      const toUpsert = [
+        ...plan.added,
+        ...plan.updated,
+        ...(this.force ? plan.conflicts : [])
+      ];
+
+      // A guide that fails to upload doesn't stop the others; the run reports a partial failure instead
+      for (const change of toUpsert) {
+        spinner.start(`Uploading ${change.contentId}...`);
+        try {
+          const guide = await this.ingester.processMarkdownFile(change.filePath);
+          const { version } = await this.history.saveGuide(guide);
+          spinner.succeed(`Uploaded ${change.contentId} as v${version}`);
+        } catch (error) {
+          spinner.fail(`Failed to upload ${change.contentId}: ${error.message}`);
+          plan.failed.push({ ...change, error });
+        }
+      }
+
+      // Only the hash is refreshed; the local guide is from a dry run and has no media stats to write back
+      const staleHashes = plan.unchanged.filter(change => change.staleHash);
+      for (const change of staleHashes) {
+        const { guide } = local.find(({ guide }) => guide.content_id === change.contentId);
+        await this.storage.updateGuide(change.contentId, { content_hash: guide.content_hash });
+      }
+
+      if (this.prune) {
+        for (const change of plan.remoteOnly) {
+          spinner.start(`Deleting ${change.contentId}...`);
+          await this.storage.deleteGuide(change.contentId);
+          spinner.succeed(`Deleted ${change.contentId}`);
+        }
+      }
+
+      plan.applied = {
+        upserted: toUpsert.length - plan.failed.length,
+        deleted: this.prune ? plan.remoteOnly.length : 0
+      };
+
+      // Saved guides go back to draft and deleted ones are gone, so the app's feed is republished as after an ingest
+      if (plan.applied.upserted > 0 || plan.applied.deleted > 0 || staleHashes.length > 0) {
+        spinner.start('Publishing content feed...');
+        const feed = await this.feed.run();
+        spinner.succeed(feed.changed ? `Published content feed #${feed.sequence}` : `Content feed #${feed.sequence} is up to date`);
+      }
+
+      return plan;
+    } catch (error) {
+      spinner.fail('Content sync failed');
+      throw error;
+    }
+  }
+
+  async loadLocalGuides() {
+    const files = await this.planner.findMarkdownFiles(this.sourcePath);
+    const guides = [];
+
+    for (const filePath of files) {
+      const guide = await this.planner.processMarkdownFile(filePath);
+      guides.push({ guide, filePath });
+    }
+
+    return guides;
+  }
+
+  createPlan(local, remote) {
+    const plan = { added: [], updated: [], unchanged: [], conflicts: [], remoteOnly: [], failed: [] };
+    const remoteById = new Map(remote.map(guide => [guide.content_id, guide]));
+
+    for (const { guide, filePath } of local) {
+      const existing = remoteById.get(guide.content_id);
+      remoteById.delete(guide.content_id);
+
+      const change = {
+        contentId: guide.content_id,
+        filePath,
+        localVersion: guide.version,
+        remoteVersion: existing?.version ?? null
+      };
+
+      if (!existing) {
+        plan.added.push(change);
+      } else if (hashContent(existing) === guide.content_hash) {
+        // Typically a database edit that has since been exported; storing the hash again clears the conflict
+        change.staleHash = existing.content_hash !== guide.content_hash;
+        plan.unchanged.push(change);
+      } else if (existing.content_hash && hashContent(existing) !== existing.content_hash) {
+        // The stored hash is only written by the pipeline, so a mismatch means someone edited the database directly
+        plan.conflicts.push(change);
+      } else {
+        plan.updated.push(change);
+      }
+    }
+
+    for (const guide of remoteById.values()) {
+      plan.remoteOnly.push({
+        contentId: guide.content_id,
+        filePath: null,
+        localVersion: null,
+        remoteVersion: guide.version
+      });
+    }
+
+    return plan;
+  }
+
+  printPlan(plan) {
+    const line = (symbol, change, detail = '') =>
+      console.log(`  ${symbol} ${change.contentId}${detail ? chalk.gray(` ${detail}`) : ''}`);
+
+    plan.added.forEach(change => line(chalk.green('+'), change, `v${change.localVersion}`));
+    plan.updated.forEach(change => line(chalk.yellow('~'), change, `v${change.remoteVersion} → v${Math.max((change.remoteVersion || 1) + 1, change.localVersion)}`));
+    plan.conflicts.forEach(change => line(
+      chalk.red('!'),
+      change,
+      `remote v${change.remoteVersion} was edited in the database${this.force ? ' (forced)' : ' (skipped, use --force or export it first)'}`
+    ));
+    plan.remoteOnly.forEach(change => line(
+      chalk.magenta('-'),
+      change,
+      this.prune ? 'only in database (will be deleted)' : 'only in database (use --prune to delete)'
+    ));
+
+    if (this.verbose) {
+      plan.unchanged.forEach(change => line(chalk.gray('='), change, path.basename(change.filePath)));
+    }
+
+    console.log(chalk.blue('\n📊 Sync Summary:'));
+    console.log(`Added: ${chalk.green(plan.added.length)}`);
+    console.log(`Updated: ${chalk.yellow(plan.updated.length)}`);
+    console.log(`Unchanged: ${chalk.gray(plan.unchanged.length)}`);
+    console.log(`Conflicts: ${chalk.red(plan.conflicts.length)}`);
+    console.log(`Remote only: ${chalk.magenta(plan.remoteOnly.length)}`);
+    console.log(`Dry run: ${this.dryRun ? chalk.yellow('Yes') : chalk.green('No')}`);
+  }
+
+  // Files, errors and warnings for a machine-readable report; guides left out of sync are warnings
+  summarize(plan) {
+    const failed = new Set(plan.failed.map(change => change.contentId));
+    const file = (change, status) => ({
+      file: change.filePath,
+      content_id: change.contentId,
+      status: failed.has(change.contentId) ? 'failed' : status
+    });
+
+    return {
+      files: [
+        ...plan.added.map(change => file(change, 'added')),
+        ...plan.updated.map(change => file(change, 'updated')),
+        ...plan.unchanged.map(change => file(change, 'unchanged')),
+        ...plan.conflicts.map(change => file(change, this.force ? 'updated' : 'conflict')),
+        ...plan.remoteOnly.map(change => file(change, this.prune ? 'deleted' : 'remote-only'))
+      ],
+      errors: plan.failed.map(change => new Finding({
+        rule: 'sync-failed',
+        message: change.error.message,
+        file: change.error.file || change.filePath,
+        line: change.error.line || null,
+        contentId: change.contentId
+      })),
+      warnings: [
+        ...(this.force ? [] : plan.conflicts.map(change => new Finding({
+          rule: 'sync-conflict',
+          message: `Database v${change.remoteVersion} was edited directly and was not overwritten`,
+          file: change.filePath,
+          contentId: change.contentId
+        }))),
+        ...(this.prune ? [] : plan.remoteOnly.map(change => new Finding({
+          rule: 'remote-only',
+          message: 'Guide only exists in the database',
+          contentId: change.contentId
+        })))
+      ]
+    };
+  }
+}
@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// {{> ruku }} pulls in _partials/ruku.md; level=3 includes its ## steps as ### sub-steps
+const INCLUDE = /^\s*\{\{>\s*([\w-]+)((?:\s+[\w-]+=\S+)*)\s*\}\}\s*$/;
+
+// {{#rakah 3-last}} ... {{/rakah}} repeats its lines for each rakah in the range that the prayer has
+const RAKAH_OPEN = /^\s*\{\{#rakah\s+(\d+)\s*-\s*(\d+|last)\s*\}\}\s*$/;
+const RAKAH_CLOSE = /^\s*\{\{\/rakah\s*\}\}\s*$/;
+const RAKAH_PLACEHOLDER = /\{\{\s*(rakah|rakah_ordinal)\s*\}\}/g;
+
+const ORDINALS = ['First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth', 'Ninth', 'Tenth', 'Eleventh', 'Twelfth'];
+
+// Resolves includes and rakah blocks in a guide's markdown body. Partials are looked up most specific first:
+// <partialsPath>/<sect>/<madhab>/<name>.md, then <sect>/<name>.md, then <name>.md.
+// lines[i] is the 0-based line of the original markdown that expanded line i came from; lines pulled in from a
+// partial map to the include, so errors and step locations point at the guide. Errors carry that 1-based line.
+// partials lists every path that was looked up, found or not, so adding a sect override invalidates the guide.
+export async function expandTemplates(markdown, { partialsPath, sect = null, madhab = null, rakahCount = 0 }) {
+  const output = [];
+  const lines = [];
+  const partials = new Set();
+
+  const fail = (message, origin) => Object.assign(new Error(message), { line: origin + 1 });
+
+  const findPartial = async (name, origin) => {
+    const candidates = [
+      sect && madhab ? path.join(partialsPath, sect, madhab, `${name}.md`) : null,
+      sect ? path.join(partialsPath, sect, `${name}.md`) : null,
+      path.join(partialsPath, `${name}.md`)
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+      partials.add(candidate);
+
+      try {
+        return await fs.readFile(candidate, 'utf-8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw fail(`Failed to read partial ${candidate}: ${error.message}`, origin);
+        }
+      }
+    }
+
+    throw fail(`Partial "${name}" not found in ${partialsPath}`, origin);
+  };
+
+  // origins is null for the guide's own lines, which start at offset; inside a partial every line maps to the outermost include
+  const expand = async (source, { origins = null, offset = 0, stack = [], rakah = null }) => {
+    for (let index = 0; index < source.length; index++) {
+      const origin = origins ?? offset + index;
+      const text = source[index];
+      const include = text.match(INCLUDE);
+      const block = text.match(RAKAH_OPEN);
+
+      if (include) {
+        const [, name, args] = include;
+
+        if (stack.includes(name)) {
+          throw fail(`Circular include: ${[...stack, name].join(' → ')}`, origin);
+        }
+
+        const options = Object.fromEntries([...args.matchAll(/([\w-]+)=(\S+)/g)].map(match => [match[1], match[2]]));
+        const level = options.level === undefined ? 2 : Number(options.level);
+
+        if (!Number.isInteger(level) || level < 2 || level > 6) {
+          throw fail(`Invalid include level "${options.level}" for partial "${name}"`, origin);
+        }
+
+        const partial = shiftHeadings(await findPartial(name, origin), level - 2);
+        await expand(partial.replace(/\n$/, '').split('\n'), { origins: origin, stack: [...stack, name], rakah });
+      } else if (block) {
+        if (rakah !== null) {
+          throw fail('Rakah blocks cannot be nested', origin);
+        }
+
+        const close = source.findIndex((line, closeIndex) => closeIndex > index && RAKAH_CLOSE.test(line));
+        if (close === -1) {
+          throw fail('Unclosed {{#rakah}} block', origin);
+        }
+
+        const from = Number(block[1]);
+        const to = block[2] === 'last' ? rakahCount : Math.min(Number(block[2]), rakahCount);
+        const body = source.slice(index + 1, close);
+
+        for (let number = from; number <= to; number++) {
+          await expand(body, { origins, offset: offset + index + 1, stack, rakah: number });
+        }
+
+        index = close;
+      } else if (RAKAH_CLOSE.test(text)) {
+        throw fail('{{/rakah}} without a matching {{#rakah}}', origin);
+      } else {
+        RAKAH_PLACEHOLDER.lastIndex = 0;
+        if (rakah === null && RAKAH_PLACEHOLDER.test(text)) {
+          throw fail('{{rakah}} is only available inside a {{#rakah}} block', origin);
+        }
+
+        output.push(rakah === null ? text : text.replace(RAKAH_PLACEHOLDER, (_, placeholder) =>
+          placeholder === 'rakah' ? String(rakah) : ORDINALS[rakah - 1] || `Rakah ${rakah}`));
+        lines.push(origin);
+      }
+    }
+  };
+
+  await expand(markdown.split('\n'), {});
+
+  return { markdown: output.join('\n'), lines, partials: [...partials] };
+}
+
+// Moves every heading down by the given number of levels, leaving fenced code alone
+function shiftHeadings(markdown, levels) {
+  if (levels === 0) {
+    return markdown;
+  }
+
+  let fenced = false;
+  return markdown.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      fenced = !fenced;
+    }
+    return !fenced && /^#{1,6}\s/.test(line) ? `${'#'.repeat(levels)}${line}` : line;
+  }).join('\n');
+}
+
+// Whether markdown has includes or rakah blocks, which expanding would flatten
+export function usesTemplates(markdown) {
+  return markdown.split('\n').some(line => INCLUDE.test(line) || RAKAH_OPEN.test(line));
+}
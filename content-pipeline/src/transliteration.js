@@ -0,0 +1,279 @@
+import { normalizeArabic } from './arabic.js';
+
+// [simple, ala-lc]
+const CONSONANTS = {
+  'ء': ['\'', 'ʼ'], // hamza
+  'أ': ['\'', 'ʼ'],
+  'إ': ['\'', 'ʼ'],
+  'ؤ': ['\'', 'ʼ'],
+  'ئ': ['\'', 'ʼ'],
+  'ب': ['b', 'b'],
+  'ت': ['t', 't'],
+  'ث': ['th', 'th'],
+  'ج': ['j', 'j'],
+  'ح': ['h', 'ḥ'],
+  'خ': ['kh', 'kh'],
+  'د': ['d', 'd'],
+  'ذ': ['dh', 'dh'],
+  'ر': ['r', 'r'],
+  'ز': ['z', 'z'],
+  'س': ['s', 's'],
+  'ش': ['sh', 'sh'],
+  'ص': ['s', 'ṣ'],
+  'ض': ['d', 'ḍ'],
+  'ط': ['t', 'ṭ'],
+  'ظ': ['dh', 'ẓ'],
+  'ع': ['\'', 'ʻ'], // ayn
+  'غ': ['gh', 'gh'],
+  'ف': ['f', 'f'],
+  'ق': ['q', 'q'],
+  'ك': ['k', 'k'],
+  'ل': ['l', 'l'],
+  'م': ['m', 'm'],
+  'ن': ['n', 'n'],
+  'ه': ['h', 'h'],
+  'و': ['w', 'w'],
+  'ي': ['y', 'y']
+};
+
+// simple matches how the guides were written by hand; ala-lc follows the ALA-LC romanisation tables
+export const TRANSLITERATION_SCHEMES = {
+  simple: { index: 0, long: { a: 'a', i: 'ee', u: 'u' }, assimilate: true, initialAyn: false, prefixSeparator: ' ' },
+  'ala-lc': { index: 1, long: { a: 'ā', i: 'ī', u: 'ū' }, assimilate: false, initialAyn: true, prefixSeparator: '-' }
+};
+
+const SHORT_VOWELS = { '\u064E': 'a', '\u0650': 'i', '\u064F': 'u' };
+const TANWEEN = { '\u064B': 'an', '\u064D': 'in', '\u064C': 'un' };
+const SHADDA = '\u0651';
+const SUPERSCRIPT_ALEF = '\u0670';
+const ALEFS = ['ا', 'ٱ'];
+const ALEF_MADDA = 'آ';
+const ALEF_MAKSURA = 'ى';
+const TA_MARBUTA = 'ة';
+const HAMZAS = ['ء', 'أ', 'إ', 'ؤ', 'ئ'];
+// The lam of the article is assimilated into these
+const SUN_LETTERS = 'تثدذرزسشصضطظلن';
+// Single-letter prefixes such as wa- and bi- that can come before the article
+const PREFIXES = 'وفبكل';
+const PAUSE = /^[،؛؟.,!?]$/;
+
+// Suggests a transliteration of vocalised Arabic. Words before a pause drop their case endings, as recited.
+export function transliterate(arabic, scheme = 'simple') {
+  const rules = TRANSLITERATION_SCHEMES[scheme];
+
+  if (!rules) {
+    throw new Error(`Unknown transliteration scheme "${scheme}". Must be one of: ${Object.keys(TRANSLITERATION_SCHEMES).join(', ')}`);
+  }
+
+  // Lines are usually separate ayat or phrases, so each ends in a pause
+  const sentences = normalizeArabic(arabic)
+    .split(/\n+/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const tokens = line.split(/\s+/);
+      const words = tokens.map((token, index) => {
+        const [, body, punctuation] = token.match(/^(.*?)([،؛؟.,!?]*)$/);
+        const next = tokens[index + 1];
+        const pausal = index === tokens.length - 1 || punctuation.length > 0 || (next && PAUSE.test(next));
+        return transliterateWord(body, rules, pausal) + punctuation.replace('،', ',').replace('؟', '?').replace('؛', ';');
+      });
+
+      return capitalise(words.filter(Boolean).join(' '));
+    });
+
+  return sentences.join('. ');
+}
+
+function transliterateWord(word, rules, pausal) {
+  const letters = parseLetters(word);
+  const out = [];
+  let lastVowel = null;
+  let index = 0;
+
+  const consonant = (char) => CONSONANTS[char]?.[rules.index] ?? '';
+  const emitVowel = (letter) => {
+    if (letter.vowel) {
+      out.push(letter.vowel);
+      lastVowel = out.length - 1;
+    } else if (letter.tanween) {
+      out.push(letter.tanween);
+      lastVowel = out.length - 1;
+    } else {
+      lastVowel = null;
+    }
+  };
+  // Long vowels are never dropped at a pause, so they stop being the last vowel
+  const lengthen = (vowel) => {
+    if (lastVowel !== null && out[lastVowel] === vowel) {
+      out[lastVowel] = rules.long[vowel];
+      lastVowel = null;
+      return true;
+    }
+    return false;
+  };
+
+  // wa-, fa-, bi-, ka- and li- are written onto the next word; before the article they elide its alef
+  let afterPrefix = false;
+  const article = letters.length > 3 && ALEFS.includes(letters[1].char) && letters[2].char === 'ل';
+  if (PREFIXES.includes(letters[0]?.char) && letters[0].vowel && (article || HAMZAS.includes(letters[1]?.char))) {
+    out.push(consonant(letters[0].char));
+    emitVowel(letters[0]);
+    if (!article) {
+      out.push(rules.prefixSeparator);
+    }
+    afterPrefix = true;
+    index = 1;
+  }
+
+  const first = letters[index];
+  const lam = letters[index + 1];
+  const next = letters[index + 2];
+
+  if (first && ALEFS.includes(first.char) && !first.vowel && lam?.char === 'ل' && !lam.vowel && next) {
+    if (next.char === 'ل' && next.shadda) {
+      // Allah and Allahumma: the doubled lam carries the article
+      out.push(afterPrefix ? '' : 'a');
+    } else if (rules.assimilate && SUN_LETTERS.includes(next.char) && next.shadda) {
+      out.push(`${afterPrefix ? '' : 'a'}${consonant(next.char)}-`);
+      next.shadda = false;
+    } else {
+      out.push(afterPrefix ? 'l-' : 'al-');
+    }
+    index += 2;
+  } else if (first && ALEFS.includes(first.char) && index === 0) {
+    // A word-initial alef only carries a vowel; without one it is a connecting alef, read as a before lam
+    out.push(first.vowel || (lam?.char === 'ل' ? 'a' : 'i'));
+    lastVowel = out.length - 1;
+    index = 1;
+  } else if (first?.char === ALEF_MADDA && index === 0) {
+    out.push(rules.long.a);
+    lastVowel = null;
+    index = 1;
+  }
+
+  const wordStart = index;
+
+  for (; index < letters.length; index++) {
+    const letter = letters[index];
+    const last = index === letters.length - 1;
+
+    if (ALEFS.includes(letter.char) || letter.char === ALEF_MAKSURA) {
+      if (!lengthen('a') && letter.vowel) {
+        emitVowel(letter);
+      }
+      continue;
+    }
+
+    if (letter.char === ALEF_MADDA) {
+      out.push(`${consonant('ء')}${rules.long.a}`);
+      lastVowel = null;
+      continue;
+    }
+
+    // Unvowelled waw and ya after the matching short vowel make it long
+    if (!letter.vowel && !letter.tanween && !letter.shadda
+      && ((letter.char === 'ي' && lengthen('i')) || (letter.char === 'و' && lengthen('u')))) {
+      continue;
+    }
+
+    if (letter.char === TA_MARBUTA) {
+      if (last && pausal) {
+        out.push('h');
+        lastVowel = null;
+        continue;
+      }
+      out.push('t');
+    } else if (index === wordStart && (HAMZAS.includes(letter.char) || (letter.char === 'ع' && !rules.initialAyn))) {
+      // A word-initial hamza is never written, and simple transliteration leaves out a word-initial ayn too
+    } else {
+      const sound = consonant(letter.char);
+      out.push(letter.shadda ? sound + sound : sound);
+    }
+
+    emitVowel(letter);
+
+    if (letter.superscriptAlef) {
+      lengthen('a');
+    }
+  }
+
+  // Recited at a pause, the final short vowel or tanween is dropped
+  if (pausal && lastVowel === out.length - 1 && lastVowel !== null) {
+    const ending = out[lastVowel];
+    if (ending === 'an') {
+      out[lastVowel] = 'a';
+    } else if (['a', 'i', 'u', 'in', 'un'].includes(ending)) {
+      out.pop();
+    }
+  }
+
+  return out.join('');
+}
+
+// Groups each letter with the harakat written on it
+function parseLetters(word) {
+  const letters = [];
+
+  for (const char of word) {
+    const letter = letters[letters.length - 1];
+
+    if (SHORT_VOWELS[char] && letter) {
+      letter.vowel = SHORT_VOWELS[char];
+    } else if (TANWEEN[char] && letter) {
+      letter.tanween = TANWEEN[char];
+    } else if (char === SHADDA && letter) {
+      letter.shadda = true;
+    } else if (char === SUPERSCRIPT_ALEF && letter) {
+      letter.superscriptAlef = true;
+    } else if (!/[\u064B-\u065F]/.test(char)) {
+      letters.push({ char, vowel: null, tanween: null, shadda: false, superscriptAlef: false });
+    }
+  }
+
+  return letters;
+}
+
+function capitalise(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// 0 to 1, comparing only the letters: diacritics, punctuation, doubled letters and e/i and o/u spellings are ignored
+export function transliterationSimilarity(a, b) {
+  const left = skeleton(a);
+  const right = skeleton(b);
+  const length = Math.max(left.length, right.length);
+
+  return length === 0 ? 1 : 1 - editDistance(left, right) / length;
+}
+
+// Authors sometimes add the meaning in brackets after the transliteration
+export function stripGloss(transliteration) {
+  return transliteration.replace(/\s*\([^)]*\)/g, '').trim();
+}
+
+function skeleton(text) {
+  return stripGloss(text)
+    .normalize('NFD')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/e/g, 'i')
+    .replace(/o/g, 'u')
+    .replace(/(.)\1+/g, '$1');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1]
+        : 1 + Math.min(previous[j - 1], previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -1,11 +1,49 @@
-import { SupabaseManager } from './supabase.js';
+import fs from 'fs/promises';
+import readline from 'readline/promises';
+import { createStorage } from './storage.js';
+import { ContentHistory } from './history.js';
+import { ContentFeedPublisher } from './feed.js';
+import { ContentIngester, STEP_POSTURES, RECITATION_MODES } from './ingester.js';
+import { applyFixers, diffValues } from './fixers.js';
+import { hashContent } from './hash.js';
+import { SCHEMA_VERSION, validateGuideSchema } from './schema.js';
+import { SECTS, SECT_MADHABS } from './madhabs.js';
+import { PRAYER_NAMES, REQUIRED_PRAYERS, getPrayer, checkRakahCount } from './prayers.js';
+import { lintArabic, normalizeArabic } from './arabic.js';
+import { verifyQuranPassage } from './quran.js';
+import { checkSource, givesRuling } from './sources.js';
+import { transliterate, transliterationSimilarity, stripGloss } from './transliteration.js';
+import { checkAudioCues } from './cues.js';
+import { Finding } from './report.js';
 import chalk from 'chalk';
 
+// Below this similarity to the suggested transliteration, an author's transliteration is probably of different Arabic
+const TRANSLITERATION_THRESHOLD = 0.75;
+
+// Maps guide row columns back to the frontmatter keys they come from
+const FRONTMATTER_FIELDS = {
+  content_id: 'contentId',
+  title: 'title',
+  prayer_name: 'prayerName',
+  sect: 'sect',
+  madhab: 'madhab',
+  rakah_count: 'rakahCount',
+  video_url: 'videoUrl'
+};
+
 export class ContentValidator {
   constructor(options = {}) {
     this.fix = options.fix || false;
+    this.yes = options.yes || false;
     this.verbose = options.verbose || false;
-    this.supabase = new SupabaseManager();
+    this.sourcePath = options.sourcePath || null;
+    this.transliterationScheme = options.transliterationScheme || 'simple';
+    this.storage = options.storage || createStorage();
+    this.history = new ContentHistory({ storage: this.storage });
+    this.feed = options.feed || new ContentFeedPublisher({ storage: this.storage, verbose: this.verbose });
+    
+    // Source file locations for guides and steps, used to prefix messages with file:line
+    this.locations = new WeakMap();
   }
 
   async run() {
@@ -13,18 +51,33 @@ export class ContentValidator {
     const warnings = [];
     
     try {
-      console.log(chalk.blue('🔍 Validating content in database...'));
+      let guides;
       
-      // Get all guides from database
-      const guides = await this.supabase.getAllGuides();
+      if (this.sourcePath) {
+        console.log(chalk.blue(`🔍 Validating source files in ${this.sourcePath}...`));
+        guides = await this.loadSourceGuides(errors);
+      } else {
+        console.log(chalk.blue('🔍 Validating content in database...'));
+        
+        // Get all guides from database
+        guides = await this.storage.getAllGuides();
+      }
       
       if (guides.length === 0) {
-        warnings.push('No prayer guides found in database');
-        return { errors, warnings };
+        warnings.push(new Finding({ rule: 'no-guides', message: this.sourcePath ? 'No prayer guides found in source directory' : 'No prayer guides found in database' }));
+        return { errors, warnings, guides: [] };
       }
       
       console.log(chalk.green(`Found ${guides.length} prayer guides to validate`));
       
+      if (this.fix) {
+        if (this.sourcePath) {
+          warnings.push(new Finding({ rule: 'fix-source', message: '--fix only repairs database content; edit source files by hand' }));
+        } else {
+          guides = await this.fixGuides(guides);
+        }
+      }
+      
       // Validate each guide
       for (const guide of guides) {
         await this.validateGuide(guide, errors, warnings);
@@ -36,32 +89,198 @@ export class ContentValidator {
       // Check for duplicate content
       this.checkDuplicates(guides, errors);
       
-      return { errors, warnings };
+      // Check that repeated phrases are spelled the same way everywhere
+      this.checkTransliterations(guides, warnings);
+      
+      return { errors, warnings, guides: guides.map(guide => this.describeGuide(guide)) };
       
     } catch (error) {
-      errors.push(`Validation failed: ${error.message}`);
-      return { errors, warnings };
+      errors.push(new Finding({ rule: 'validation-failed', message: `Validation failed: ${error.message}` }));
+      return { errors, warnings, guides: [], failed: true };
+    }
+  }
+
+  async fixGuides(guides) {
+    const proposals = [];
+    
+    for (const guide of guides) {
+      const { fixed, applied } = applyFixers(guide, { guides });
+      if (applied.length > 0) {
+        proposals.push({ guide, fixed, applied });
+      }
+    }
+    
+    if (proposals.length === 0) {
+      console.log(chalk.green('No automatic fixes available'));
+      return guides;
+    }
+    
+    proposals.forEach(proposal => this.printProposal(proposal));
+    
+    if (!this.yes && !(await this.confirm(`Apply fixes to ${proposals.length} guides?`))) {
+      console.log(chalk.yellow('Fixes not applied'));
+      return guides;
+    }
+    
+    for (const { guide, fixed } of proposals) {
+      if (guide.content_hash) {
+        fixed.content_hash = hashContent(fixed);
+      }
+      
+      if (fixed.content_id === guide.content_id) {
+        await this.history.saveGuide(fixed);
+      } else {
+        // Guides are keyed by content_id, so a rename inserts a new row and removes the old one
+        const { id, created_at, updated_at, ...row } = fixed;
+        await this.history.saveGuide(row);
+        await this.storage.deleteGuide(guide.content_id);
+      }
+      
+      console.log(chalk.green(`  ✓ Fixed ${fixed.content_id}`));
+    }
+    
+    // Fixed guides are saved as drafts and renamed ones replace their old rows, so the app's feed is republished
+    const feed = await this.feed.run();
+    console.log(chalk.gray(`  Content feed is at #${feed.sequence}`));
+    
+    // Validate what is now stored rather than what was there before
+    return guides.map(guide => proposals.find(proposal => proposal.guide === guide)?.fixed || guide);
+  }
+
+  printProposal({ guide, fixed, applied }) {
+    console.log(chalk.blue(`\n🔧 [${guide.content_id}] ${applied.map(fixer => fixer.description).join('; ')}`));
+    
+    // Compare against the parsed content so reparsing a JSON string doesn't show every line as changed
+    const before = { ...guide };
+    if (typeof before.text_content === 'string') {
+      try {
+        before.text_content = JSON.parse(before.text_content);
+      } catch {
+        // Left as a string; the diff then shows the raw value
+      }
+    }
+    
+    for (const line of diffValues(before, fixed)) {
+      if (line.type === '+') {
+        console.log(chalk.green(`+ ${line.text}`));
+      } else if (line.type === '-') {
+        console.log(chalk.red(`- ${line.text}`));
+      } else if (this.verbose) {
+        console.log(chalk.gray(`  ${line.text}`));
+      }
+    }
+  }
+
+  async confirm(question) {
+    if (!process.stdin.isTTY) {
+      console.log(chalk.yellow('Not running interactively; pass --yes to apply fixes'));
+      return false;
+    }
+    
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    
+    try {
+      const answer = await rl.question(`${question} [y/N] `);
+      return /^y(es)?$/i.test(answer.trim());
+    } finally {
+      rl.close();
     }
   }
 
+  async loadSourceGuides(errors) {
+    await fs.access(this.sourcePath);
+    
+    const ingester = new ContentIngester({ sourcePath: this.sourcePath, dryRun: true, storage: this.storage });
+    const files = await ingester.findMarkdownFiles(this.sourcePath);
+    const guides = [];
+    
+    for (const filePath of files) {
+      const source = await fs.readFile(filePath, 'utf-8');
+      const fields = this.findFrontmatterLines(source);
+      const sourceMap = new Map();
+      
+      try {
+        const guide = await ingester.processMarkdownFile(filePath, { sourceMap });
+        
+        for (const [node, line] of sourceMap) {
+          this.locations.set(node, { file: filePath, line });
+        }
+        this.locations.set(guide, { file: filePath, line: 1, fields });
+        
+        guides.push(guide);
+      } catch (error) {
+        // Errors from a translation file point at that file instead
+        const line = error.line || (error.file ? 1 : fields[error.field]) || 1;
+        errors.push(new Finding({ rule: 'parse-error', message: error.message, file: error.file || filePath, line }));
+      }
+    }
+    
+    console.log(chalk.green(`Parsed ${guides.length} of ${files.length} source files`));
+    
+    return guides;
+  }
+
+  findFrontmatterLines(source) {
+    const lines = {};
+    const sourceLines = source.split('\n');
+    
+    // Frontmatter starts after the opening --- on line 1
+    for (let index = 1; index < sourceLines.length && sourceLines[index] !== '---'; index++) {
+      const match = sourceLines[index].match(/^([A-Za-z]+):/);
+      if (match) {
+        lines[match[1]] = index + 1;
+      }
+    }
+    
+    return lines;
+  }
+
+  // A finding about a guide, or about one of its steps when node is the step; the location comes from the source map
+  createFinding(rule, message, { node = null, contentId = null, field = null } = {}) {
+    return new Finding({ rule, message, contentId, ...this.locationOf(node, field) });
+  }
+
+  locationOf(node, field = null) {
+    const location = node && this.locations.get(node);
+    
+    if (!location) {
+      return {};
+    }
+    
+    const line = (field && location.fields?.[FRONTMATTER_FIELDS[field]]) || location.line;
+    return { file: location.file, line };
+  }
+
+  // Which file each checked guide came from, for reports
+  describeGuide(guide) {
+    return { file: this.locations.get(guide)?.file || null, content_id: guide.content_id };
+  }
+
   async validateGuide(guide, errors, warnings) {
-    const prefix = `[${guide.content_id}]`;
+    const finding = (rule, message, field = null) => this.createFinding(rule, message, { node: guide, contentId: guide.content_id, field });
     
     // Validate required fields
     if (!guide.title || guide.title.trim().length === 0) {
-      errors.push(`${prefix} Missing or empty title`);
+      errors.push(finding('missing-title', 'Missing or empty title', 'title'));
     }
     
-    if (!guide.prayer_name || !['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'].includes(guide.prayer_name)) {
-      errors.push(`${prefix} Invalid prayer name: ${guide.prayer_name}`);
+    if (!guide.prayer_name || !PRAYER_NAMES.includes(guide.prayer_name)) {
+      errors.push(finding('invalid-prayer-name', `Invalid prayer name: ${guide.prayer_name}`, 'prayer_name'));
     }
     
-    if (!guide.sect || !['sunni', 'shia'].includes(guide.sect)) {
-      errors.push(`${prefix} Invalid sect: ${guide.sect}`);
+    if (!guide.sect || !SECTS.includes(guide.sect)) {
+      errors.push(finding('invalid-sect', `Invalid sect: ${guide.sect}`, 'sect'));
+    } else if (guide.madhab && !SECT_MADHABS[guide.sect].includes(guide.madhab)) {
+      errors.push(finding('invalid-madhab', `Invalid madhab for ${guide.sect}: ${guide.madhab}`, 'madhab'));
     }
     
-    if (!guide.rakah_count || guide.rakah_count < 1 || guide.rakah_count > 4) {
-      errors.push(`${prefix} Invalid rakah count: ${guide.rakah_count}`);
+    if (!Number.isInteger(guide.rakah_count) || guide.rakah_count < 0) {
+      errors.push(finding('invalid-rakah-count', `Invalid rakah count: ${guide.rakah_count}`, 'rakah_count'));
+    } else {
+      const rakahError = checkRakahCount(guide.prayer_name, guide.rakah_count);
+      if (rakahError) {
+        errors.push(finding('invalid-rakah-count', `Invalid rakah count: ${rakahError}`, 'rakah_count'));
+      }
     }
     
     // Validate content structure
@@ -71,24 +290,31 @@ export class ContentValidator {
           ? JSON.parse(guide.text_content) 
           : guide.text_content;
         
-        this.validateContentStructure(content, guide.content_id, errors, warnings);
+        this.validateContentStructure(content, guide, errors, warnings);
       } catch (error) {
-        errors.push(`${prefix} Invalid JSON in text_content: ${error.message}`);
+        errors.push(finding('invalid-text-content', `Invalid JSON in text_content: ${error.message}`));
       }
     } else {
-      warnings.push(`${prefix} No text content found`);
+      warnings.push(finding('missing-text-content', 'No text content found'));
     }
     
     // Validate video URL if present
     if (guide.video_url) {
       if (!this.isValidUrl(guide.video_url)) {
-        errors.push(`${prefix} Invalid video URL: ${guide.video_url}`);
+        errors.push(finding('invalid-video-url', `Invalid video URL: ${guide.video_url}`, 'video_url'));
       }
     }
     
+    // Validate against the schema shared with the iOS app
+    for (const schemaError of validateGuideSchema(guide)) {
+      errors.push(finding('schema', `Schema v${SCHEMA_VERSION}: ${schemaError}`));
+    }
+    
+    this.validateTranslations(guide, warnings);
+    
     // Validate content ID format
-    if (!guide.content_id.match(/^[a-z]+_[a-z]+_guide$/)) {
-      warnings.push(`${prefix} Content ID doesn't follow naming convention (prayer_sect_guide)`);
+    if (!guide.content_id.match(/^[a-z]+_[a-z]+(_[a-z]+)?_guide$/)) {
+      warnings.push(finding('content-id-format', 'Content ID doesn\'t follow naming convention (prayer_sect[_madhab]_guide)', 'content_id'));
     }
     
     if (this.verbose) {
@@ -96,54 +322,205 @@ export class ContentValidator {
     }
   }
 
-  validateContentStructure(content, contentId, errors, warnings) {
-    const prefix = `[${contentId}]`;
+  validateTranslations(guide, warnings) {
+    const finding = (rule, message) => this.createFinding(rule, message, { node: guide, contentId: guide.content_id });
+    const translations = guide.translations || {};
+    const version = guide.version || 1;
+    
+    // Locales without a translation fall back to English, so only the translations that exist are checked
+    for (const [locale, translation] of Object.entries(translations)) {
+      if (translation.source_version < version) {
+        warnings.push(finding('stale-translation', `${locale} translation is stale (translated from v${translation.source_version}, guide is v${version})`));
+      }
+      
+      if (translation.untranslated_steps?.length > 0) {
+        warnings.push(finding('untranslated-steps', `${locale} translation falls back to English for steps ${translation.untranslated_steps.join(', ')}`));
+      }
+    }
+  }
+
+  validateContentStructure(content, guide, errors, warnings) {
+    const contentId = guide.content_id;
+    const finding = (rule, message) => this.createFinding(rule, message, { node: content, contentId });
+    // Prayers such as Janazah are performed in fewer postures
+    const postures = getPrayer(guide.prayer_name)?.postures || STEP_POSTURES;
     
     // Check for steps array
     if (!content.steps || !Array.isArray(content.steps)) {
-      errors.push(`${prefix} Missing or invalid steps array in content`);
+      errors.push(finding('missing-steps', 'Missing or invalid steps array in content'));
       return;
     }
     
     if (content.steps.length === 0) {
-      warnings.push(`${prefix} No steps found in content`);
+      warnings.push(finding('no-steps', 'No steps found in content'));
     }
     
+    // Clips are optional, so steps without one are only pointed out once a guide has them for other steps
+    const narrated = content.steps.some(step => step.audio_url || (step.sub_steps || []).some(subStep => subStep.audio_url));
+    
     // Validate each step
     content.steps.forEach((step, index) => {
+      const stepContext = { node: step, contentId, label: `Step ${index + 1}`, narrated };
+      
       if (!step.title || step.title.trim().length === 0) {
-        errors.push(`${prefix} Step ${index + 1} missing title`);
+        errors.push(this.createStepFinding(stepContext, 'missing-step-title', 'missing title'));
       }
       
-      if (!step.description || step.description.trim().length === 0) {
-        warnings.push(`${prefix} Step ${index + 1} missing description`);
+      // Steps that only group sub-steps don't need their own description
+      const hasSubSteps = Array.isArray(step.sub_steps) && step.sub_steps.length > 0;
+      if (!hasSubSteps && (!step.description || step.description.trim().length === 0)) {
+        warnings.push(this.createStepFinding(stepContext, 'missing-step-description', 'missing description'));
       }
       
       if (step.arabic && step.arabic.trim().length > 0) {
         // Check if Arabic text contains Arabic characters
         if (!/[\u0600-\u06FF]/.test(step.arabic)) {
-          warnings.push(`${prefix} Step ${index + 1} Arabic text may not contain Arabic characters`);
+          warnings.push(this.createStepFinding(stepContext, 'arabic-script', 'Arabic text may not contain Arabic characters'));
         }
       }
+      
+      this.validateStepDetails(step, stepContext, errors, warnings, postures);
+      
+      // Validate nested sub-steps
+      (step.sub_steps || []).forEach((subStep, subIndex) => {
+        const subContext = { node: subStep, contentId, label: `Step ${index + 1}.${subIndex + 1}`, narrated };
+        
+        if (!subStep.title || subStep.title.trim().length === 0) {
+          errors.push(this.createStepFinding(subContext, 'missing-step-title', 'missing title'));
+        }
+        
+        this.validateStepDetails(subStep, subContext, errors, warnings, postures);
+      });
     });
     
-    // Check for rakah instructions
+    // A sub-step is covered by the sources of its step
+    const unsourced = [];
+    content.steps.forEach((step, index) => {
+      const sourced = step.sources?.length > 0;
+      
+      if (givesRuling(step) && !sourced) {
+        unsourced.push(`${index + 1}`);
+      }
+      (step.sub_steps || []).forEach((subStep, subIndex) => {
+        if (givesRuling(subStep) && !sourced && !(subStep.sources?.length > 0)) {
+          unsourced.push(`${index + 1}.${subIndex + 1}`);
+        }
+      });
+    });
+    
+    if (unsourced.length > 0) {
+      const label = unsourced.length === 1 ? 'Step' : 'Steps';
+      warnings.push(finding('unsourced-ruling', `${label} ${unsourced.join(', ')} ${unsourced.length === 1 ? 'says' : 'say'} how to recite or how often without citing a source`));
+    }
+    
+    // Check for rakah instructions; prayers without rakah have none
+    if (guide.rakah_count === 0) {
+      return;
+    }
+    
     if (!content.rakah_instructions || !Array.isArray(content.rakah_instructions)) {
-      warnings.push(`${prefix} Missing rakah instructions`);
+      warnings.push(finding('missing-rakah-instructions', 'Missing rakah instructions'));
     } else if (content.rakah_instructions.length === 0) {
-      warnings.push(`${prefix} Empty rakah instructions array`);
+      warnings.push(finding('missing-rakah-instructions', 'Empty rakah instructions array'));
     }
   }
 
+  createStepFinding({ node, contentId, label }, rule, message) {
+    return this.createFinding(rule, `${label} ${message}`, { node, contentId });
+  }
+
+  validateStepDetails(step, context, errors, warnings, postures = STEP_POSTURES) {
+    const finding = (rule, message) => this.createStepFinding(context, rule, message);
+    
+    if (step.posture && !STEP_POSTURES.includes(step.posture)) {
+      errors.push(finding('invalid-posture', `has invalid posture: ${step.posture}`));
+    } else if (step.posture && !postures.includes(step.posture)) {
+      errors.push(finding('invalid-posture', `has posture ${step.posture}, which this prayer does not include`));
+    }
+    
+    if (step.recitation_mode && !RECITATION_MODES.includes(step.recitation_mode)) {
+      errors.push(finding('invalid-recitation-mode', `has invalid recitation mode: ${step.recitation_mode}`));
+    }
+    
+    if (step.repeat_count !== undefined && (!Number.isInteger(step.repeat_count) || step.repeat_count < 1)) {
+      errors.push(finding('invalid-repeat-count', `has invalid repeat count: ${step.repeat_count}`));
+    }
+    
+    if (step.image_url && !this.isValidUrl(step.image_url)) {
+      errors.push(finding('invalid-image-url', `has invalid image URL: ${step.image_url}`));
+    }
+    
+    (step.recitations || []).forEach((recitation, index) => {
+      if (!recitation.arabic || recitation.arabic.trim().length === 0) {
+        warnings.push(finding('missing-arabic', `recitation ${index + 1} has no Arabic text`));
+        return;
+      }
+      
+      const suggestion = transliterate(recitation.arabic, this.transliterationScheme);
+      
+      if (!recitation.transliteration) {
+        warnings.push(finding('missing-transliteration', `recitation ${index + 1} missing transliteration (suggested: "${suggestion}")`));
+      } else if (transliterationSimilarity(suggestion, recitation.transliteration) < TRANSLITERATION_THRESHOLD) {
+        warnings.push(finding('transliteration-mismatch', `recitation ${index + 1} transliteration "${stripGloss(recitation.transliteration)}" does not match its Arabic (suggested: "${suggestion}")`));
+      }
+      
+      const lint = lintArabic(recitation.arabic);
+      lint.errors.forEach(message => errors.push(finding('arabic-lint', `recitation ${index + 1} ${message}`)));
+      lint.warnings.forEach(message => warnings.push(finding('arabic-lint', `recitation ${index + 1} ${message}`)));
+    });
+    
+    if (step.audio_url && !this.isValidUrl(step.audio_url)) {
+      errors.push(finding('invalid-audio-url', `has invalid audio URL: ${step.audio_url}`));
+    } else if (context.narrated && !step.audio_url && (step.recitations || []).some(recitation => recitation.arabic?.trim())) {
+      warnings.push(finding('missing-audio', 'has Arabic text but no audio'));
+    }
+    
+    if (step.audio?.cues) {
+      const problem = checkAudioCues(step.audio.cues, step.audio.duration ?? null);
+      
+      if (problem) {
+        errors.push(finding('audio-cues', `audio ${problem}`));
+      }
+    }
+    
+    // Tagged Quran passages must match the Quran text exactly, down to every haraka
+    if (step.quran_reference) {
+      const passage = (step.recitations || []).map(recitation => recitation.arabic || '').join(' ');
+      const mismatch = verifyQuranPassage(step.quran_reference, passage);
+      
+      if (mismatch) {
+        errors.push(finding('quran-mismatch', mismatch));
+      }
+    }
+    
+    (step.sources || []).forEach(source => {
+      const problem = checkSource(source);
+      
+      if (problem) {
+        errors.push(finding('invalid-citation', `citation ${problem}`));
+      }
+    });
+  }
+
+  // Coverage matrix of prayer × sect × madhab for the daily prayers in the catalogue;
+  // a guide without a madhab covers every madhab of its sect
   checkMissingPrayers(guides, warnings) {
-    const prayers = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
-    const sects = ['sunni', 'shia'];
-    
-    for (const prayer of prayers) {
-      for (const sect of sects) {
-        const found = guides.find(g => g.prayer_name === prayer && g.sect === sect);
-        if (!found) {
-          warnings.push(`Missing ${prayer} prayer guide for ${sect} tradition`);
+    for (const prayer of REQUIRED_PRAYERS) {
+      for (const sect of SECTS) {
+        const sectGuides = guides.filter(g => g.prayer_name === prayer && g.sect === sect);
+        if (sectGuides.length === 0) {
+          warnings.push(new Finding({ rule: 'missing-prayer', message: `Missing ${prayer} prayer guide for ${sect} tradition` }));
+          continue;
+        }
+        
+        if (sectGuides.some(g => !g.madhab)) {
+          continue;
+        }
+        
+        for (const madhab of SECT_MADHABS[sect]) {
+          if (!sectGuides.some(g => g.madhab === madhab)) {
+            warnings.push(new Finding({ rule: 'missing-prayer', message: `Missing ${prayer} prayer guide for ${sect} tradition (${madhab} madhab)` }));
+          }
         }
       }
     }
@@ -154,21 +531,77 @@ export class ContentValidator {
     const combinations = new Set();
     
     for (const guide of guides) {
+      const location = this.locationOf(guide);
+      
       // Check for duplicate content IDs
       if (contentIds.has(guide.content_id)) {
-        errors.push(`Duplicate content ID: ${guide.content_id}`);
+        errors.push(new Finding({ rule: 'duplicate-content-id', message: `Duplicate content ID: ${guide.content_id}`, ...location }));
       }
       contentIds.add(guide.content_id);
       
-      // Check for duplicate prayer/sect combinations
-      const combination = `${guide.prayer_name}_${guide.sect}`;
+      // Check for duplicate prayer/sect/madhab combinations
+      const combination = [guide.prayer_name, guide.sect, guide.madhab].filter(Boolean).join('_');
       if (combinations.has(combination)) {
-        errors.push(`Duplicate prayer/sect combination: ${combination}`);
+        errors.push(new Finding({ rule: 'duplicate-combination', message: `Duplicate prayer/sect/madhab combination: ${combination}`, contentId: guide.content_id, ...location }));
       }
       combinations.add(combination);
     }
   }
 
+  // Recitations with the same Arabic should share one transliteration across all guides
+  checkTransliterations(guides, warnings) {
+    const spellings = new Map();
+    
+    const collect = (step, guide) => {
+      for (const recitation of step.recitations || []) {
+        if (!recitation.arabic || !recitation.transliteration) {
+          continue;
+        }
+        
+        const arabic = normalizeArabic(recitation.arabic).replace(/\s+/g, ' ').trim();
+        const spelling = stripGloss(recitation.transliteration).replace(/[.,;!?]+$/, '');
+        
+        if (!spellings.has(arabic)) {
+          spellings.set(arabic, new Map());
+        }
+        
+        // Capitalisation alone isn't a different spelling
+        const variants = spellings.get(arabic);
+        const key = spelling.toLowerCase();
+        if (!variants.has(key)) {
+          variants.set(key, { spelling, contentIds: new Set() });
+        }
+        variants.get(key).contentIds.add(guide.content_id);
+      }
+    };
+    
+    for (const guide of guides) {
+      let content;
+      try {
+        content = typeof guide.text_content === 'string' ? JSON.parse(guide.text_content) : guide.text_content;
+      } catch (_) {
+        // Already reported by validateGuide
+        continue;
+      }
+      
+      for (const step of content?.steps || []) {
+        collect(step, guide);
+        (step.sub_steps || []).forEach(subStep => collect(subStep, guide));
+      }
+    }
+    
+    for (const variants of spellings.values()) {
+      if (variants.size < 2) {
+        continue;
+      }
+      
+      const listed = [...variants.values()]
+        .map(({ spelling, contentIds }) => `"${spelling}" (${[...contentIds].join(', ')})`)
+        .join(', ');
+      warnings.push(new Finding({ rule: 'inconsistent-transliteration', message: `Same recitation is transliterated ${variants.size} ways: ${listed}` }));
+    }
+  }
+
   isValidUrl(string) {
     try {
       new URL(string);
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileStorageManager } from '../src/file-storage.js';
+import { ContentIngester } from '../src/ingester.js';
+import { ContentHistory } from '../src/history.js';
+import { ContentBundler } from '../src/bundler.js';
+
+const contentDir = fileURLToPath(new URL('../content', import.meta.url));
+
+test('only the published content of a guide is bundled', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-bundle-'));
+  const sourcePath = path.join(dir, 'content');
+  const storage = new FileStorageManager({ dataPath: path.join(dir, 'data') });
+  const bundle = () => new ContentBundler({ sourcePath, outputPath: path.join(dir, 'bundles'), dryRun: true, storage }).run();
+
+  try {
+    await fs.mkdir(sourcePath);
+    await fs.copyFile(path.join(contentDir, 'fajr-sunni.md'), path.join(sourcePath, 'fajr-sunni.md'));
+    const ingester = new ContentIngester({ sourcePath, dryRun: true, storage });
+    await new ContentHistory({ storage }).saveGuide(await ingester.processMarkdownFile(path.join(sourcePath, 'fajr-sunni.md')));
+
+    await assert.rejects(bundle(), /Guide fajr_sunni_guide is draft\. Only published guides can be bundled\./);
+
+    await storage.updateGuide('fajr_sunni_guide', { status: 'published', version: 3 });
+    const [published] = await bundle();
+    assert.equal(path.basename(published.path), 'fajr_sunni_guide-v3.tar.gz');
+
+    const markdown = await fs.readFile(path.join(sourcePath, 'fajr-sunni.md'), 'utf-8');
+    await fs.writeFile(path.join(sourcePath, 'fajr-sunni.md'), markdown.replace('Make the intention', 'Make an intention'));
+    await assert.rejects(bundle(), /Local content of fajr_sunni_guide differs from the published version 3/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
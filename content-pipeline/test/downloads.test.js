@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileStorageManager } from '../src/file-storage.js';
+import { DownloadTracker } from '../src/downloads.js';
+
+test('downloads move through their lifecycle and feed the stats', async () => {
+  const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-downloads-'));
+  const storage = new FileStorageManager({ dataPath });
+  const tracker = new DownloadTracker({ storage, maxAttempts: 2, staleMinutes: 10 });
+
+  try {
+    await storage.upsertGuide({ content_id: 'fajr_sunni_guide', title: 'Fajr', prayer_name: 'fajr', sect: 'sunni', status: 'published' });
+    const guide = await storage.getGuideByContentId('fajr_sunni_guide');
+    const completed = await tracker.create(guide.id, 4096);
+    const stale = await tracker.create(guide.id, 2048);
+
+    await tracker.start(completed.id);
+    await tracker.progress(completed.id, 50, 2048);
+    assert.equal((await tracker.complete(completed.id)).downloaded_size, 4096);
+    await assert.rejects(tracker.fail(completed.id, 'network'), /Cannot fail download .*: it is completed/);
+
+    await tracker.start(stale.id);
+    assert.deepEqual(await tracker.reapStale(), []);
+    const [reaped] = await tracker.reapStale(new Date(Date.now() + 11 * 60 * 1000));
+    assert.equal(reaped.failure_reason, 'stale');
+
+    assert.equal((await tracker.retryFailed()).length, 1);
+    await tracker.start(stale.id);
+    await tracker.fail(stale.id, 'storage_full');
+    assert.deepEqual(await tracker.retryFailed(), []);
+
+    const stats = await tracker.getStats();
+    assert.deepEqual(stats.byStatus, { pending: 0, downloading: 0, completed: 1, failed: 1 });
+    assert.equal(stats.successRate, 1 / 3);
+    assert.equal(stats.averageSize, 4096);
+    assert.deepEqual(stats.failuresByReason, { storage_full: 1 });
+    assert.deepEqual(stats.failuresByGuide, [{ contentId: 'fajr_sunni_guide', failures: 2 }]);
+  } finally {
+    await fs.rm(dataPath, { recursive: true, force: true });
+  }
+});
+
+test('reaping leaves a download that completed after it was read', async () => {
+  const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-downloads-'));
+  const storage = new FileStorageManager({ dataPath });
+  const tracker = new DownloadTracker({ storage, staleMinutes: 10 });
+
+  try {
+    const download = await tracker.create('guide-1', 4096);
+    const started = await tracker.start(download.id);
+
+    // The reaper sees it still downloading, but the app completes it before the reaper writes
+    const racing = new DownloadTracker({ staleMinutes: 10, storage: Object.assign(Object.create(storage), {
+      getDownloads: async () => [started],
+      getDownload: async () => started
+    }) });
+    await tracker.complete(download.id);
+
+    assert.deepEqual(await racing.reapStale(new Date(Date.now() + 11 * 60 * 1000)), []);
+    assert.equal((await storage.getDownload(download.id)).download_status, 'completed');
+  } finally {
+    await fs.rm(dataPath, { recursive: true, force: true });
+  }
+});
+
+test('reaping leaves a download that reported progress after it was listed', async () => {
+  const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-downloads-'));
+  const storage = new FileStorageManager({ dataPath });
+  const tracker = new DownloadTracker({ storage, staleMinutes: 10 });
+
+  try {
+    const download = await tracker.create('guide-1', 4096);
+    const started = await tracker.start(download.id);
+
+    // The reaper lists it as stale, but the app reports progress before the reaper writes
+    const racing = new DownloadTracker({ staleMinutes: 10, storage: Object.assign(Object.create(storage), {
+      getDownloads: async () => [started]
+    }) });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await tracker.progress(download.id, 50, 2048);
+
+    assert.deepEqual(await racing.reapStale(new Date(Date.now() + 11 * 60 * 1000)), []);
+    assert.equal((await storage.getDownload(download.id)).download_status, 'downloading');
+  } finally {
+    await fs.rm(dataPath, { recursive: true, force: true });
+  }
+});
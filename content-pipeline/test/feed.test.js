@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createHash, generateKeyPairSync } from 'crypto';
+import { FileStorageManager } from '../src/file-storage.js';
+import { ContentFeedPublisher, verifyManifest } from '../src/feed.js';
+
+const guide = (contentId, title) => ({
+  content_id: contentId,
+  title,
+  prayer_name: contentId.split('_')[0],
+  sect: contentId.split('_')[1],
+  status: 'published',
+  version: 1,
+  text_content: { steps: [{ step: 1, title: 'Takbir', description: '', audio_url: 'https://cdn.example/takbir.m4a', audio: { size: 2048 } }], rakah_instructions: [] }
+});
+
+// Serves the feed directory the way a CDN would, so the app-side flow can be followed over HTTP
+async function serve(dir, fn) {
+  const server = http.createServer(async (request, response) => {
+    try {
+      response.end(await fs.readFile(path.join(dir, decodeURIComponent(new URL(request.url, 'http://localhost').pathname))));
+    } catch {
+      response.writeHead(404).end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/`);
+  } finally {
+    server.close();
+  }
+}
+
+test('the feed is signed and its deltas list only changed guides', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-feed-'));
+  const storage = new FileStorageManager({ dataPath: path.join(root, 'data') });
+  const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+  const publisher = new ContentFeedPublisher({ storage, outputPath: path.join(root, 'feed'), upload: false, signingKey: privateKey });
+
+  try {
+    await storage.upsertGuides([guide('fajr_sunni_guide', 'Fajr'), guide('isha_shia_guide', 'Isha')]);
+    assert.equal((await publisher.run()).sequence, 1);
+    assert.equal((await publisher.run()).changed, false);
+
+    await storage.upsertGuide({ ...guide('fajr_sunni_guide', 'Fajr (revised)'), version: 2 });
+    await storage.updateGuide('isha_shia_guide', { status: 'draft' });
+    await publisher.run();
+
+    await serve(path.join(root, 'feed'), async (baseUrl) => {
+      const manifestUrl = new URL('manifest.json', baseUrl);
+      const manifestBytes = Buffer.from(await (await fetch(manifestUrl)).arrayBuffer());
+      const signature = await (await fetch(new URL('manifest.json.sig', baseUrl))).text();
+      assert.ok(verifyManifest(manifestBytes, signature, publicKey));
+
+      const manifest = JSON.parse(manifestBytes);
+      assert.equal(manifest.sequence, 2);
+      assert.deepEqual(manifest.guides.map(entry => [entry.content_id, entry.version]), [['fajr_sunni_guide', 2]]);
+      assert.deepEqual(manifest.guides[0].media, [{ type: 'audio', url: 'https://cdn.example/takbir.m4a', size: 2048 }]);
+
+      const delta = await (await fetch(new URL(manifest.deltas[0].url, manifestUrl))).json();
+      assert.deepEqual([delta.from, delta.to, delta.removed], [1, 2, ['isha_shia_guide']]);
+      assert.deepEqual(delta.changed.map(entry => entry.content_id), ['fajr_sunni_guide']);
+
+      const guideBytes = Buffer.from(await (await fetch(new URL(delta.changed[0].url, manifestUrl))).arrayBuffer());
+      assert.equal(createHash('sha256').update(guideBytes).digest('hex'), delta.changed[0].sha256);
+      assert.equal(JSON.parse(guideBytes).title, 'Fajr (revised)');
+    });
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileStorageManager } from '../src/file-storage.js';
+import { ContentHistory } from '../src/history.js';
+
+async function withStorage(fn) {
+  const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-storage-'));
+
+  try {
+    await fn(new FileStorageManager({ dataPath }), dataPath);
+  } finally {
+    await fs.rm(dataPath, { recursive: true, force: true });
+  }
+}
+
+test('upsertGuide inserts once and updates by content_id', () => withStorage(async (storage) => {
+  await storage.upsertGuide({ content_id: 'fajr_sunni_guide', contentId: 'fajr_sunni_guide', title: 'Fajr', prayer_name: 'fajr', sect: 'sunni' });
+  const inserted = await storage.getGuideByContentId('fajr_sunni_guide');
+
+  await storage.upsertGuide({ content_id: 'fajr_sunni_guide', title: 'Fajr (updated)', prayer_name: 'fajr', sect: 'sunni' });
+  const guides = await storage.getAllGuides();
+
+  assert.equal(guides.length, 1);
+  assert.equal(guides[0].id, inserted.id);
+  assert.equal(guides[0].title, 'Fajr (updated)');
+  assert.equal('contentId' in guides[0], false);
+}));
+
+test('saveGuides versions a batch of guides like saveGuide', () => withStorage(async (storage) => {
+  const history = new ContentHistory({ storage });
+  const fajr = { content_id: 'fajr_sunni_guide', title: 'Fajr', prayer_name: 'fajr', sect: 'sunni' };
+  const isha = { content_id: 'isha_shia_guide', title: 'Isha', prayer_name: 'isha', sect: 'shia' };
+
+  await history.saveGuide(fajr);
+  const results = await history.saveGuides([{ ...fajr, title: 'Fajr (updated)' }, isha]);
+
+  assert.deepEqual(results, [{ status: 'updated', version: 2 }, { status: 'created', version: 1 }]);
+  assert.equal((await storage.getAllGuides()).length, 2);
+  assert.deepEqual((await storage.getGuideRevisions('fajr_sunni_guide')).map(revision => revision.data.title), ['Fajr']);
+  assert.deepEqual(await history.saveGuides([isha]), [{ status: 'unchanged', version: 1 }]);
+}));
+
+test('deleteGuide cascades to content_downloads', () => withStorage(async (storage) => {
+  await storage.upsertGuide({ content_id: 'isha_shia_guide', title: 'Isha', prayer_name: 'isha', sect: 'shia', status: 'published' });
+  const guide = await storage.getGuideByContentId('isha_shia_guide');
+  await storage.createDownloadRecord(guide.id, 1024);
+  await storage.markGuideOffline('isha_shia_guide');
+
+  const status = await storage.getStatus();
+  assert.equal(status.offlineGuides, 1);
+  assert.equal(status.pendingDownloads, 1);
+
+  await storage.deleteGuide('isha_shia_guide');
+  assert.deepEqual(await storage.readTable('content_downloads'), []);
+}));
+
+test('uploadMedia skips unchanged files', () => withStorage(async (storage, dataPath) => {
+  const source = path.join(dataPath, 'poster.jpg');
+  await fs.writeFile(source, 'poster');
+
+  const first = await storage.uploadMedia(source, 'fajr_sunni_guide/video/poster.jpg');
+  const second = await storage.uploadMedia(source, 'fajr_sunni_guide/video/poster.jpg');
+
+  assert.equal(first.skipped, false);
+  assert.equal(second.skipped, true);
+  assert.equal(first.url, storage.getPublicMediaUrl('fajr_sunni_guide/video/poster.jpg'));
+  assert.equal(await fs.readFile(storage.getObjectPath('fajr_sunni_guide/video/poster.jpg'), 'utf-8'), 'poster');
+}));
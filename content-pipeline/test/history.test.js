@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileStorageManager } from '../src/file-storage.js';
+import { ContentFeedPublisher } from '../src/feed.js';
+import { ContentHistory } from '../src/history.js';
+
+const guide = (description) => ({
+  content_id: 'fajr_sunni_guide',
+  title: 'Fajr',
+  prayer_name: 'fajr',
+  sect: 'sunni',
+  rakah_count: 2,
+  description,
+  text_content: { steps: [], rakah_instructions: [] }
+});
+
+test('rolling back to a once-published version restores it as a draft and takes it out of the feed', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-history-'));
+  const storage = new FileStorageManager({ dataPath: path.join(dir, 'data') });
+  const feed = new ContentFeedPublisher({ storage, outputPath: path.join(dir, 'feed'), upload: false, signingKey: null });
+  const history = new ContentHistory({ storage, feed });
+  const publish = () => storage.updateGuide('fajr_sunni_guide', { status: 'published', reviewer_name: 'Shaykh A', published_at: new Date().toISOString() });
+
+  try {
+    await history.saveGuide(guide('First draft'));
+    await publish();
+    await history.saveGuide(guide('Second draft'));
+    await publish();
+    await feed.run();
+
+    const { version } = await history.rollback('fajr_sunni_guide', 1);
+    const restored = await storage.getGuideByContentId('fajr_sunni_guide');
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, 'feed', 'manifest.json'), 'utf-8'));
+
+    assert.equal(version, 3);
+    assert.equal(restored.description, 'First draft');
+    assert.equal(restored.status, 'draft');
+    assert.equal(restored.reviewer_name, null);
+    assert.deepEqual(manifest.guides, []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintArabic } from '../src/arabic.js';
+import { loadQuranText, verifyQuranPassage } from '../src/quran.js';
+
+const fatihah = () => [1, 2, 3, 4, 5, 6, 7].map(ayah => loadQuranText().get(`1:${ayah}`));
+
+test('Quran passages match across lines and normalisation', () => {
+  // One ayah per line, decomposed and stretched with tatweel, as authors might paste it
+  const passage = fatihah().join('\n').normalize('NFD').replace('حَمْدُ', 'حَمْـدُ');
+
+  assert.equal(verifyQuranPassage('1:1-7', passage), null);
+  assert.deepEqual(lintArabic(fatihah().join(' ')), { errors: [], warnings: [] });
+});
+
+test('a single wrong haraka fails verification', () => {
+  const passage = fatihah().join(' ').replace('مَالِكِ', 'مَالِكَ');
+
+  assert.equal(
+    verifyQuranPassage('1:1-7', passage),
+    'Quran 1:1-7 does not match at word 11: found "مَالِكَ", expected "مَالِكِ"'
+  );
+  assert.match(verifyQuranPassage('2:255', passage), /not in the bundled Quran text/);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Finding, createReport, getExitCode, renderReport, EXIT_CODES } from '../src/report.js';
+
+const missingAudio = new Finding({ rule: 'missing-audio', message: 'Step 1 has Arabic text but no audio', file: 'content/fajr-sunni.md', line: 12, contentId: 'fajr_sunni_guide' });
+
+test('warnings only fail the report with strict, and failed files take precedence', () => {
+  const files = [{ file: 'content/fajr-sunni.md', content_id: 'fajr_sunni_guide', status: 'checked' }];
+
+  assert.equal(String(missingAudio), 'content/fajr-sunni.md:12 [fajr_sunni_guide] Step 1 has Arabic text but no audio');
+  assert.equal(getExitCode(createReport('validate', { files, warnings: [missingAudio] })), EXIT_CODES.success);
+  assert.equal(getExitCode(createReport('validate', { files, warnings: [missingAudio], strict: true })), EXIT_CODES.invalid);
+
+  const ingest = createReport('ingest', {
+    files: [...files, { file: 'content/broken.md', content_id: null, status: 'failed' }],
+    errors: [new Finding({ rule: 'ingest-failed', message: 'Missing required frontmatter fields', file: 'content/broken.md' })]
+  });
+  assert.equal(ingest.status, 'partial');
+  assert.equal(getExitCode(ingest), EXIT_CODES.partial);
+  assert.deepEqual(JSON.parse(renderReport(ingest, 'json')).findings[0], {
+    severity: 'error', rule: 'ingest-failed', message: 'Missing required frontmatter fields', file: 'content/broken.md', line: null, content_id: null
+  });
+});
+
+test('JUnit reports fail a case per file on errors and keep warnings as output', () => {
+  const xml = renderReport(createReport('validate', {
+    files: [{ file: 'content/fajr-sunni.md', content_id: 'fajr_sunni_guide', status: 'checked' }, { file: 'content/isha-shia.md', content_id: 'isha_shia_guide', status: 'checked' }],
+    errors: [new Finding({ rule: 'missing-title', message: 'Missing or empty title <required>', file: 'content/isha-shia.md', line: 2, contentId: 'isha_shia_guide' })],
+    warnings: [missingAudio]
+  }), 'junit');
+
+  assert.match(xml, /<testsuite name="validate" tests="2" failures="1"/);
+  assert.match(xml, /<failure type="missing-title" message="Missing or empty title &lt;required&gt;">/);
+  assert.match(xml, /<system-out>warning missing-audio: content\/fajr-sunni.md:12/);
+});
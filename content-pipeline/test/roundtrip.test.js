@@ -0,0 +1,229 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ContentIngester } from '../src/ingester.js';
+import { ContentExporter } from '../src/exporter.js';
+import { hashContent } from '../src/hash.js';
+import { FileStorageManager } from '../src/file-storage.js';
+
+// Keep the round-trip offline regardless of any local .env
+process.env.CONTENT_STORAGE = 'file';
+
+const contentDir = fileURLToPath(new URL('../content', import.meta.url));
+
+async function ingestDirectory(dir) {
+  const ingester = new ContentIngester({ sourcePath: dir, dryRun: true });
+  const guides = [];
+
+  for (const filePath of await ingester.findMarkdownFiles(dir)) {
+    guides.push(await ingester.processMarkdownFile(filePath));
+  }
+
+  return guides.sort((a, b) => a.content_id.localeCompare(b.content_id));
+}
+
+async function exportGuides(guides, dir) {
+  const exporter = new ContentExporter({ outputPath: dir });
+
+  for (const guide of guides) {
+    await fs.writeFile(path.join(dir, exporter.getFileName(guide)), exporter.guideToMarkdown(guide));
+
+    for (const locale of Object.keys(guide.translations || {})) {
+      await fs.writeFile(path.join(dir, exporter.getFileName(guide, locale)), exporter.translationToMarkdown(guide, locale));
+    }
+  }
+}
+
+test('ingest → export → ingest keeps every guide identical', async () => {
+  const firstDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-export-'));
+  const secondDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-export-'));
+
+  try {
+    const original = await ingestDirectory(contentDir);
+    await exportGuides(original, firstDir);
+
+    const reingested = await ingestDirectory(firstDir);
+    assert.equal(reingested.length, original.length);
+
+    for (const [index, guide] of original.entries()) {
+      const { updated_at: _a, ...expected } = guide;
+      const { updated_at: _b, ...actual } = reingested[index];
+      assert.deepEqual(actual, expected, `${guide.content_id} changed after round-trip`);
+    }
+
+    // Exporting the re-ingested guides must reproduce the exported markdown byte for byte
+    await exportGuides(reingested, secondDir);
+    for (const file of await fs.readdir(firstDir)) {
+      assert.equal(
+        await fs.readFile(path.join(secondDir, file), 'utf-8'),
+        await fs.readFile(path.join(firstDir, file), 'utf-8'),
+        `${file} is not stable across exports`
+      );
+    }
+  } finally {
+    await fs.rm(firstDir, { recursive: true, force: true });
+    await fs.rm(secondDir, { recursive: true, force: true });
+  }
+});
+
+test('uploaded media keeps its stats across a round-trip', async () => {
+  const sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-media-'));
+  const exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-media-'));
+  const mediaUrl = file => `https://example.supabase.co/storage/v1/object/public/prayer-content/fajr_sunni_guide/${file}`;
+
+  try {
+    await fs.copyFile(path.join(contentDir, 'fajr-sunni.md'), path.join(sourceDir, 'fajr-sunni.md'));
+    const [guide] = await ingestDirectory(sourceDir);
+    const [step] = guide.text_content.steps;
+
+    Object.assign(guide, {
+      content_type: 'mixed',
+      video_url: mediaUrl('master.m3u8'),
+      thumbnail_url: mediaUrl('images/thumbnail@2x.webp'),
+      thumbnail_width: 1280,
+      thumbnail_height: 720,
+      thumbnail_blurhash: 'LEHV6nWB2yk8pyo0adR*.7kCMdnj',
+      thumbnail_variants: [{ scale: 2, format: 'webp', width: 1280, height: 720, url: mediaUrl('images/thumbnail@2x.webp') }],
+      video_duration: 312.4,
+      video_size: 48213004
+    });
+    Object.assign(step, {
+      image_url: mediaUrl('images/takbir@2x.webp'),
+      image: {
+        alt: 'Hands raised to the ears',
+        width: 640,
+        height: 480,
+        blurhash: 'L6PZfSi_.AyE_3t7t7R**0o#DgR4',
+        variants: [{ scale: 2, format: 'webp', width: 640, height: 480, url: mediaUrl('images/takbir@2x.webp') }]
+      },
+      audio_url: mediaUrl('audio/1.m4a'),
+      audio: { duration: 2.4, size: 38912, cues: [{ start: 0, end: 0.6, text: 'اللَّهُ' }] }
+    });
+    guide.content_hash = hashContent(guide);
+
+    await exportGuides([guide], exportDir);
+    const [reingested] = await ingestDirectory(exportDir);
+    const { updated_at: _a, ...expected } = guide;
+    const { updated_at: _b, ...actual } = reingested;
+
+    assert.deepEqual(actual, expected);
+  } finally {
+    await fs.rm(sourceDir, { recursive: true, force: true });
+    await fs.rm(exportDir, { recursive: true, force: true });
+  }
+});
+
+test('partially exported image stats leave the missing ones out', async () => {
+  const ingester = new ContentIngester({ dryRun: true });
+  const content = await ingester.markdownToStructuredContent([
+    '## Opening Takbir',
+    '',
+    '<!-- step: { media: { image: { width: 640, height: 480 } } } -->',
+    '',
+    '![Hands raised to the ears](<https://example.com/takbir.webp>)',
+    '',
+    'Raise your hands to your ears.'
+  ].join('\n'));
+
+  assert.deepEqual(content.steps[0].image, { width: 640, height: 480, alt: 'Hands raised to the ears' });
+});
+
+test('translations fall back to English and survive a round-trip', async () => {
+  const sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-locale-'));
+  const exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-locale-'));
+
+  try {
+    await fs.copyFile(path.join(contentDir, 'fajr-sunni.md'), path.join(sourceDir, 'fajr-sunni.md'));
+    await fs.writeFile(path.join(sourceDir, 'fajr-sunni.fr.md'), [
+      '---',
+      'contentId: fajr_sunni_guide',
+      'title: Guide de la prière du Fajr (sunnite)',
+      'sourceVersion: 1',
+      '---',
+      '',
+      '# Guide de la prière du Fajr (sunnite)',
+      '',
+      '## Intention (Niyyah)',
+      '',
+      "Formulez dans votre cœur l'intention d'accomplir la prière du Fajr pour Allah.",
+      ''
+    ].join('\n'));
+
+    const [guide] = await ingestDirectory(sourceDir);
+    const french = guide.translations.fr;
+    const english = guide.text_content.steps;
+
+    assert.deepEqual(Object.keys(guide.translations), ['fr']);
+    assert.equal(french.source_version, 1);
+    assert.match(french.steps[0].description, /^Formulez/);
+    assert.equal(french.steps[1].title, english[1].title);
+    assert.equal(french.steps.length, english.length);
+    assert.deepEqual(french.untranslated_steps, english.slice(1).map(step => String(step.step)));
+
+    await exportGuides([guide], exportDir);
+    const [reingested] = await ingestDirectory(exportDir);
+    assert.deepEqual(reingested.translations, guide.translations);
+  } finally {
+    await fs.rm(sourceDir, { recursive: true, force: true });
+    await fs.rm(exportDir, { recursive: true, force: true });
+  }
+});
+
+test('export reads text_content stored as a JSON string', () => {
+  const exporter = new ContentExporter({ outputPath: os.tmpdir() });
+  const guide = {
+    content_id: 'fajr_sunni_guide',
+    title: 'Fajr Prayer Guide (Sunni)',
+    prayer_name: 'fajr',
+    sect: 'sunni',
+    rakah_count: 2,
+    version: 3,
+    text_content: JSON.stringify({
+      steps: [{ step: 1, title: 'Opening Takbir', description: 'Raise your hands.', arabic: 'اللَّهُ أَكْبَرُ', transliteration: 'Allahu Akbar' }],
+      rakah_instructions: ['First Rakah: Fatihah']
+    })
+  };
+
+  const markdown = exporter.guideToMarkdown(guide);
+
+  assert.match(markdown, /^---\ncontentId: fajr_sunni_guide\n/);
+  assert.match(markdown, /\n## Opening Takbir\n\nRaise your hands\.\n\nاللَّهُ أَكْبَرُ\n\nTransliteration: Allahu Akbar\n/);
+  assert.match(markdown, /\n- First Rakah: Fatihah\n/);
+});
+
+test('export writes back to existing files and leaves madhab overrides and templated files alone', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-pull-'));
+  const outputPath = path.join(dir, 'content');
+  const storage = new FileStorageManager({ dataPath: path.join(dir, 'data') });
+
+  try {
+    await fs.mkdir(outputPath);
+    await fs.copyFile(path.join(contentDir, 'fajr-sunni.md'), path.join(outputPath, 'fajr.md'));
+    await fs.copyFile(path.join(contentDir, 'fajr-sunni-hanafi.md'), path.join(outputPath, 'fajr-sunni-hanafi.md'));
+    await fs.copyFile(path.join(contentDir, 'fajr-shia.md'), path.join(outputPath, 'fajr-shia.md'));
+    await fs.cp(path.join(contentDir, '_partials'), path.join(outputPath, '_partials'), { recursive: true });
+    for (const guide of await ingestDirectory(outputPath)) {
+      await storage.upsertGuide(guide);
+    }
+
+    const override = await fs.readFile(path.join(outputPath, 'fajr-sunni-hanafi.md'), 'utf-8');
+    const templated = await fs.readFile(path.join(outputPath, 'fajr-shia.md'), 'utf-8');
+    const results = await new ContentExporter({ outputPath, storage }).run();
+
+    assert.deepEqual(results
+      .map(({ contentId, filePath, status }) => ({ contentId, file: path.basename(filePath), status }))
+      .sort((a, b) => a.contentId.localeCompare(b.contentId)), [
+      { contentId: 'fajr_shia_guide', file: 'fajr-shia.md', status: 'skipped' },
+      { contentId: 'fajr_sunni_guide', file: 'fajr.md', status: 'changed' },
+      { contentId: 'fajr_sunni_hanafi_guide', file: 'fajr-sunni-hanafi.md', status: 'skipped' }
+    ]);
+    assert.equal(await fs.readFile(path.join(outputPath, 'fajr-sunni-hanafi.md'), 'utf-8'), override);
+    assert.equal(await fs.readFile(path.join(outputPath, 'fajr-shia.md'), 'utf-8'), templated);
+    assert.deepEqual((await fs.readdir(outputPath)).sort(), ['_partials', 'fajr-shia.md', 'fajr-sunni-hanafi.md', 'fajr.md']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { validateGuideSchema } from '../src/schema.js';
+
+const fixturesDir = fileURLToPath(new URL('../schema/fixtures/', import.meta.url));
+
+test('app fixtures match the guide schema', async () => {
+  const files = await fs.readdir(fixturesDir);
+  assert.ok(files.length > 0);
+
+  for (const file of files) {
+    const guide = JSON.parse(await fs.readFile(fixturesDir + file, 'utf-8'));
+    assert.deepEqual(validateGuideSchema(guide), [], `${file} does not match the schema`);
+  }
+});
+
+test('schema errors name the offending field', async () => {
+  const guide = JSON.parse(await fs.readFile(fixturesDir + 'fajr-sunni.json', 'utf-8'));
+  guide.difficulty = 'expert';
+  guide.text_content.steps[0].posture = 'flying';
+
+  assert.deepEqual(validateGuideSchema(guide).sort(), [
+    'difficulty must be equal to one of the allowed values',
+    'text_content/steps/0/posture must be equal to one of the allowed values'
+  ]);
+});
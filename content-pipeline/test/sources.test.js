@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentIngester } from '../src/ingester.js';
+import { ContentExporter } from '../src/exporter.js';
+import { checkSource, parseCitation } from '../src/sources.js';
+
+// Keep ingestion offline regardless of any local .env
+process.env.CONTENT_STORAGE = 'file';
+
+test('citations become step sources and are exported again', async () => {
+  const ingester = new ContentIngester({ dryRun: true });
+  const content = await ingester.markdownToStructuredContent([
+    '## Opening Takbir',
+    '',
+    'Raise your hands to your ears [^bukhari:735] and say the opening Takbir. [^muslim:390]',
+    '',
+    'Translation: Allah is the Greatest. [^bukhari:735]'
+  ].join('\n'));
+  const [step] = content.steps;
+
+  assert.equal(step.description, 'Raise your hands to your ears and say the opening Takbir.');
+  assert.equal(step.translation, 'Allah is the Greatest.');
+  assert.deepEqual(step.sources, [
+    { collection: 'bukhari', reference: '735', title: 'Sahih al-Bukhari' },
+    { collection: 'muslim', reference: '390', title: 'Sahih Muslim' }
+  ]);
+
+  const markdown = new ContentExporter({ dryRun: true }).stepToMarkdown(step, 2).join('\n\n');
+  const reingested = await ingester.markdownToStructuredContent(markdown);
+  assert.deepEqual(reingested.steps[0], step);
+});
+
+test('citations are checked against the catalogue', () => {
+  const check = citation => checkSource(parseCitation(citation));
+
+  assert.equal(check('bukhari:757'), null);
+  assert.equal(check('muslim:804a'), null);
+  assert.equal(check('quran:2:43'), null);
+  assert.equal(check('kafi:3:311:8'), null);
+
+  assert.match(check('bukhari 757'), /is malformed: expected collection:reference/);
+  assert.match(check('bukhary:757'), /names unknown collection "bukhary"/);
+  assert.equal(check('bukhari:9999'), '[^bukhari:9999] is outside Sahih al-Bukhari, which is numbered 1-7563');
+  assert.equal(check('quran:1:8'), '[^quran:1:8] is not an ayah or range of ayat in the Quran');
+  assert.equal(check('kafi:9:1'), '[^kafi:9:1] cites volume 9, but al-Kafi has 8 volumes');
+});
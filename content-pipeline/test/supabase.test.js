@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SupabaseManager } from '../src/supabase.js';
+
+// storage-js reads the global fetch, so its real error handling runs against these responses
+async function withStorageResponse(status, fn) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response(JSON.stringify({ statusCode: String(status), error: 'not_found', message: 'Object not found' }), { status });
+
+  Object.assign(process.env, { SUPABASE_URL: 'http://127.0.0.1:1', SUPABASE_ANON_KEY: 'anon', SUPABASE_SERVICE_ROLE_KEY: 'service' });
+
+  try {
+    await fn(new SupabaseManager());
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+test('a missing storage object reads as null, other storage errors throw', async () => {
+  await withStorageResponse(400, async (storage) => {
+    assert.equal(await storage.readMedia('feed/manifest.json'), null);
+  });
+
+  await withStorageResponse(404, async (storage) => {
+    assert.equal(await storage.readMedia('feed/manifest.json'), null);
+  });
+
+  await withStorageResponse(500, async (storage) => {
+    await assert.rejects(storage.readMedia('feed/manifest.json'), /Failed to read feed\/manifest.json: Storage responded 500/);
+  });
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileStorageManager } from '../src/file-storage.js';
+import { ContentFeedPublisher } from '../src/feed.js';
+import { ContentSyncer } from '../src/sync.js';
+
+const contentDir = fileURLToPath(new URL('../content', import.meta.url));
+
+test('sync republishes the feed after saving and pruning guides', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-sync-'));
+  const sourcePath = path.join(dir, 'content');
+  const storage = new FileStorageManager({ dataPath: path.join(dir, 'data') });
+  const feed = new ContentFeedPublisher({ storage, outputPath: path.join(dir, 'feed'), upload: false, signingKey: null });
+  const sync = (options = {}) => new ContentSyncer({ sourcePath, storage, feed, ...options }).run();
+  const publish = contentId => storage.updateGuide(contentId, { status: 'published', reviewer_name: 'Shaykh A', published_at: new Date().toISOString() });
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(dir, 'feed', 'manifest.json'), 'utf-8'));
+
+  try {
+    await fs.mkdir(sourcePath);
+    await fs.copyFile(path.join(contentDir, 'fajr-sunni.md'), path.join(sourcePath, 'fajr-sunni.md'));
+    await fs.copyFile(path.join(contentDir, 'asr-sunni.md'), path.join(sourcePath, 'asr-sunni.md'));
+
+    await sync();
+    await publish('fajr_sunni_guide');
+    await publish('asr_sunni_guide');
+    await feed.run();
+    assert.deepEqual((await readManifest()).guides.map(guide => guide.content_id), ['asr_sunni_guide', 'fajr_sunni_guide']);
+
+    const markdown = await fs.readFile(path.join(sourcePath, 'fajr-sunni.md'), 'utf-8');
+    await fs.writeFile(path.join(sourcePath, 'fajr-sunni.md'), markdown.replace('Make the intention', 'Make an intention'));
+    await sync();
+    assert.deepEqual((await readManifest()).guides.map(guide => guide.content_id), ['asr_sunni_guide']);
+
+    await publish('fajr_sunni_guide');
+    await fs.rm(path.join(sourcePath, 'asr-sunni.md'));
+    await sync({ prune: true });
+    assert.deepEqual((await readManifest()).guides.map(guide => guide.content_id), ['fajr_sunni_guide']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
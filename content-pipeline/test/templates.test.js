@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ContentIngester } from '../src/ingester.js';
+
+// Keep ingestion offline regardless of any local .env
+process.env.CONTENT_STORAGE = 'file';
+
+const guide = (contentId, sect, body) => `---
+contentId: ${contentId}
+title: Dhuhr
+prayerName: dhuhr
+sect: ${sect}
+rakahCount: 4
+---
+
+## Opening Takbir
+
+Raise your hands and say the Takbir.
+
+## First Rakah
+
+{{> ruku level=3 }}
+
+## Rakah Instructions
+
+{{#rakah 3-last}}
+- **{{rakah_ordinal}} Rakah**: Recite only Al-Fatihah
+{{/rakah}}
+${body}`;
+
+async function withContent(files, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deenbuddy-partials-'));
+
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    await fn(new ContentIngester({ sourcePath: dir, dryRun: true }), dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('includes pick the sect override and rakah blocks follow rakahCount', () => withContent({
+  '_partials/ruku.md': '## Ruku (Bowing)\n\nBow and say Subhana rabbiya al-azeem.\n',
+  '_partials/shia/ruku.md': '## Ruku (Bowing)\n\nBow and say Subhana rabbiya al-azeem wa bihamdih.\n',
+  'dhuhr-sunni.md': guide('dhuhr_sunni_guide', 'sunni', ''),
+  'dhuhr-shia.md': guide('dhuhr_shia_guide', 'shia', '')
+}, async (ingester, dir) => {
+  assert.deepEqual((await ingester.findMarkdownFiles(dir)).map(file => path.basename(file)).sort(), ['dhuhr-shia.md', 'dhuhr-sunni.md']);
+
+  const sourceMap = new Map();
+  const sunni = await ingester.processMarkdownFile(path.join(dir, 'dhuhr-sunni.md'), { sourceMap });
+  const shia = await ingester.processMarkdownFile(path.join(dir, 'dhuhr-shia.md'));
+  const [ruku] = sunni.text_content.steps[1].sub_steps;
+
+  assert.equal(ruku.description, 'Bow and say Subhana rabbiya al-azeem.');
+  assert.equal(sourceMap.get(ruku), 15);
+  assert.equal(shia.text_content.steps[1].sub_steps[0].description, 'Bow and say Subhana rabbiya al-azeem wa bihamdih.');
+  assert.deepEqual(sunni.text_content.rakah_instructions, [
+    '**Third Rakah**: Recite only Al-Fatihah',
+    '**Fourth Rakah**: Recite only Al-Fatihah'
+  ]);
+}));
+
+test('circular includes are reported at the include in the guide', () => withContent({
+  '_partials/ruku.md': '## Ruku (Bowing)\n\n{{> rise }}\n',
+  '_partials/rise.md': 'Rise and bow again.\n\n{{> ruku }}\n',
+  'dhuhr-sunni.md': guide('dhuhr_sunni_guide', 'sunni', '')
+}, async (ingester, dir) => {
+  await assert.rejects(ingester.processMarkdownFile(path.join(dir, 'dhuhr-sunni.md')), error => {
+    assert.equal(error.message, 'Circular include: ruku → rise → ruku');
+    assert.equal(error.line, 15);
+    return true;
+  });
+}));
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transliterate, transliterationSimilarity } from '../src/transliteration.js';
+
+test('suggestions follow the article, long vowels and pausal forms', () => {
+  const tasbih = 'سُبْحَانَ رَبِّيَ الْعَظِيمِ';
+
+  assert.equal(transliterate(tasbih), 'Subhana rabbiya al-adheem');
+  assert.equal(transliterate(tasbih, 'ala-lc'), 'Subḥāna rabbiya al-ʻaẓīm');
+  assert.equal(transliterate('بِسْمِ اللَّهِ الرَّحْمَٰنِ الرَّحِيمِ'), 'Bismi allahi ar-rahmani ar-raheem');
+  assert.throws(() => transliterate(tasbih, 'iso'), /Unknown transliteration scheme "iso"/);
+});
+
+test('similarity tolerates spelling variants but not different text', () => {
+  const suggestion = transliterate('سُبْحَانَ رَبِّيَ الْعَظِيمِ');
+
+  assert.ok(transliterationSimilarity(suggestion, 'Subhana rabbiya al-azeem (Glory be to my Lord, the Great)') > 0.85);
+  assert.ok(transliterationSimilarity(suggestion, 'Sami Allahu liman hamidah') < 0.5);
+});